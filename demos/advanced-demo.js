@@ -36,9 +36,7 @@ for (const size of batchSizes) {
   }));
 
   await benchmark(async () => {
-    for (const { vector, metadata } of vectors) {
-      db.addVector(vector, metadata);
-    }
+    return db.addVectors(vectors);
   }, `Insert ${size} vectors`);
 }
 
@@ -64,6 +62,23 @@ for (const { k, name } of searchTests) {
   }, `Search ${name} results from ${stats.totalVectors} vectors`);
 }
 
+// Batch search performance test
+console.log('\n   Batch search (100 queries, top 10):');
+const batchQueries = Array(100).fill(0).map(() => randomEmbedding(384));
+
+db.once('batchSearched', ({ count, durationMs }) => {
+  console.log(`   ⏱️  Batch of ${count} queries: ${durationMs.toFixed(2)}ms (${(durationMs / count).toFixed(3)}ms/query)`);
+});
+await db.searchBatch(batchQueries, 10);
+
+// The first call starts the workers and loads the index into them; later calls reuse both
+for (const call of ['first', 'second']) {
+  db.once('batchSearched', ({ count, workers, durationMs }) => {
+    console.log(`   ⏱️  Batch of ${count} queries on ${workers} workers (${call} call): ${durationMs.toFixed(2)}ms`);
+  });
+  await db.searchBatch(batchQueries, 10, { workers: 2 });
+}
+
 // Semantic clustering demo
 console.log('\n4️⃣  Semantic Clustering: Code Snippets...');
 
@@ -93,7 +108,7 @@ const codeResults = db.search(searchEmbedding, 4);
 console.log(`\n   Query: "${searchCode}"`);
 console.log('   Similar code snippets:');
 codeResults.forEach((result, idx) => {
-  const similarity = (1 - result.distance) * 100;
+  const similarity = result.score * 100;
   console.log(`\n   ${idx + 1}. [${similarity.toFixed(1)}%] ${result.metadata.lang}`);
   console.log(`      ${result.metadata.code}`);
   console.log(`      Type: ${result.metadata.type}`);
@@ -120,12 +135,12 @@ for (const query of queries) {
       multiResults.set(id, {
         ...result,
         queries: [query],
-        totalScore: 1 - result.distance
+        totalScore: result.score
       });
     } else {
       const existing = multiResults.get(id);
       existing.queries.push(query);
-      existing.totalScore += (1 - result.distance);
+      existing.totalScore += result.score;
       multiResults.set(id, existing);
     }
   });
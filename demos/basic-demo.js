@@ -67,7 +67,7 @@ for (const query of queries) {
 
   console.log('\n   Top 3 Results:');
   results.forEach((result, idx) => {
-    const similarity = (1 - result.distance) * 100;
+    const similarity = result.score * 100;
     console.log(`   ${idx + 1}. [${similarity.toFixed(1)}%] ${result.metadata.text}`);
     console.log(`      Category: ${result.metadata.category} | Importance: ${result.metadata.importance}`);
   });
@@ -167,12 +167,12 @@ const searches = [
 
 for (const searchTerm of searches) {
   console.log(`\n   🔍 Search: "${searchTerm}"`);
-  const results = db.searchReasoning(searchTerm);
+  const results = await db.searchReasoning(searchTerm, { k: 2 });
 
   if (results.length > 0) {
     console.log(`   Found ${results.length} matching reasoning pattern(s):`);
     results.forEach((result, idx) => {
-      console.log(`\n   ${idx + 1}. ${result.context}`);
+      console.log(`\n   ${idx + 1}. [score ${result.score.toFixed(2)}] ${result.context}`);
       console.log(`      Domain: ${result.metadata.domain}`);
       console.log(`      Tags: ${result.metadata.tags.join(', ')}`);
       console.log(`      Reasoning preview:`);
@@ -225,7 +225,7 @@ const searchResults = db.search(query, 3);
 
 console.log('\n   Most relevant reasoning patterns:');
 searchResults.forEach((result, idx) => {
-  const similarity = (1 - result.distance) * 100;
+  const similarity = result.score * 100;
   const reasoning = db.getReasoning(result.metadata.reasoningId);
 
   console.log(`\n   ${idx + 1}. [${similarity.toFixed(1)}% relevant] ${result.metadata.context}`);
@@ -8,19 +8,24 @@ import { AgentDB, simpleTextEmbedding } from '../src/index.js';
 console.log('🤖 AI Agent Memory System\n');
 console.log('═'.repeat(60));
 
-// Initialize agent memory
-const memory = new AgentDB({ dimension: 384, maxElements: 10000 });
+// Initialize agent memory; recall favors recent memories (half-life of one day)
+const memory = new AgentDB({
+  dimension: 384,
+  maxElements: 10000,
+  decay: { halfLife: 24 * 60 * 60 * 1000, weight: 0.2 }
+});
 
 // Simulate agent interactions
 class AIAgent {
   constructor(name, memoryDb) {
     this.name = name;
-    this.memory = memoryDb;
+    // Each agent gets its own collection so recall isn't polluted by other agents
+    this.memory = memoryDb.collection(name);
     this.conversationCount = 0;
   }
 
-  // Remember something
-  remember(content, type = 'general') {
+  // Remember something; short-lived context can be given a TTL in ms
+  remember(content, type = 'general', ttl) {
     this.conversationCount++;
     const embedding = simpleTextEmbedding(content);
 
@@ -30,13 +35,18 @@ class AIAgent {
       agent: this.name,
       conversation: this.conversationCount,
       timestamp: new Date().toISOString()
-    });
+    }, { ttl });
+  }
+
+  // Merge memories that say the same thing
+  consolidate() {
+    return this.memory.consolidate({ threshold: 0.95 });
   }
 
-  // Recall similar memories
+  // Recall similar memories; MMR keeps near-identical memories from crowding out other context
   recall(query, limit = 3) {
     const embedding = simpleTextEmbedding(query);
-    return this.memory.search(embedding, limit);
+    return this.memory.search(embedding, limit, { mmr: { lambda: 0.7 } });
   }
 
   // Store reasoning about a decision
@@ -77,6 +87,18 @@ interactions.forEach(({ type, content }) => {
   console.log(`  💾 [${type}] ${content}`);
 });
 
+// Things only relevant for this session expire after an hour
+agent.remember('User is currently debugging a failing build', 'context', 60 * 60 * 1000);
+console.log('  ⏳ [context] User is currently debugging a failing build (expires in 1h)');
+
+// The user repeats themselves; consolidation folds the repeats into one memory
+agent.remember('User prefers TypeScript over JavaScript', 'preference');
+agent.remember('User prefers TypeScript over JavaScript!', 'preference');
+for (const { id, mergedIds } of agent.consolidate()) {
+  const merged = agent.memory.memoryStore.get(id);
+  console.log(`  🔗 Consolidated ${mergedIds.length} memories into #${id}: ${merged.metadata.content}`);
+}
+
 // Agent records its reasoning
 console.log('\n🧠 Recording reasoning...\n');
 
@@ -113,7 +135,7 @@ queries.forEach(query => {
   const memories = agent.recall(query, 2);
 
   memories.forEach((mem, i) => {
-    const relevance = ((1 - mem.distance) * 100).toFixed(0);
+    const relevance = (mem.score * 100).toFixed(0);
     console.log(`  ${i + 1}. [${relevance}% relevant] ${mem.metadata.content}`);
     console.log(`     Type: ${mem.metadata.type} | Conv #${mem.metadata.conversation}`);
   });
@@ -123,7 +145,7 @@ queries.forEach(query => {
 
 // Retrieve reasoning when needed
 console.log('🧠 Retrieving past reasoning...\n');
-const reasoningResults = agent.memory.searchReasoning('chat application');
+const reasoningResults = await agent.memory.searchReasoning('chat application');
 
 if (reasoningResults.length > 0) {
   const reasoning = reasoningResults[0];
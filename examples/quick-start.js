@@ -34,7 +34,7 @@ const results = db.search(queryEmbedding, 2);
 
 console.log(`Query: "${query}"\n`);
 results.forEach((result, i) => {
-  const similarity = ((1 - result.distance) * 100).toFixed(1);
+  const similarity = (result.score * 100).toFixed(1);
   console.log(`${i + 1}. [${similarity}% match] ${result.metadata.text}`);
 });
 
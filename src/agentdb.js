@@ -4,102 +4,2344 @@
  */
 
 import hnswlib from 'hnswlib-node';
-import { EventEmitter } from 'events';
+import { EventEmitter, once } from 'events';
+import { existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { finished } from 'stream/promises';
+import { matchesFilter } from './filter.js';
+import { readManifest, readSnapshot, writeSnapshot } from './storage.js';
+import { WriteAheadLog } from './wal.js';
+import { createEmbedder } from './embedders.js';
+import { ReasoningIndex, keywordScore, reasoningText } from './reasoning-index.js';
+import { TextIndex } from './text-index.js';
+import { STREAM_VERSION, createEncoder, readRecords } from './stream-format.js';
+import { createQuantizer, restoreQuantizer } from './quantization.js';
+import { Transaction } from './transaction.js';
+import { SearchWorkerPool } from './search-pool.js';
+import { cosineSimilarity, vectorDistance, distanceToScore, scoreToDistance } from './utils.js';
 
 const { HierarchicalNSW } = hnswlib;
 
+const WAL_FILE = 'wal.log';
+const COLLECTIONS_DIR = 'collections';
+const DEFAULT_COLLECTION = 'default';
+const METRICS = ['cosine', 'l2', 'ip'];
+const VECTOR_STORAGE = ['float32', 'int8', 'pq', 'none'];
+const EXPORT_VERSION = 1;
+const INDEX_PARAMS = ['maxElements', 'm', 'efConstruction', 'efSearch'];
+
+// Optional per-vector fields persisted alongside id, metadata and timestamp
+const ENTRY_FIELDS = ['key', 'expiresAt', 'accessCount', 'lastAccessed', 'importance', 'updatedAt'];
+
+// Accesses at which derived importance reaches 0.5
+const IMPORTANCE_HALF_ACCESSES = 5;
+
+/**
+ * Pick the optional entry fields that are set on an object
+ * @param {Object} source - Memory store entry, logged item or exported record
+ * @returns {Object} The defined ENTRY_FIELDS
+ */
+function entryFields(source) {
+  const fields = {};
+  for (const key of ENTRY_FIELDS) {
+    if (source[key] !== undefined && source[key] !== null) {
+      fields[key] = source[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Default metadata for a consolidated entry: the newest member's metadata
+ * plus the original IDs of everything merged into it
+ * @param {Array<Object>} entries - Memory store entries being merged
+ * @returns {Object} Merged metadata
+ */
+function defaultMerge(entries) {
+  const newest = entries.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+  const consolidatedFrom = entries.flatMap(entry => entry.metadata?.consolidatedFrom ?? [entry.id]);
+  return { ...newest.metadata, consolidatedFrom };
+}
+
 export class AgentDB extends EventEmitter {
   constructor(options = {}) {
     super();
 
     this.dimension = options.dimension || 384; // Default embedding dimension
+    this.metric = options.metric || 'cosine'; // Distance metric: 'cosine', 'l2' or 'ip' (inner product)
+    this.normalize = options.normalize || false; // L2-normalize vectors and queries before indexing
+    if (!METRICS.includes(this.metric)) {
+      throw new Error(`Unknown metric "${this.metric}"; expected one of ${METRICS.join(', ')}`);
+    }
     this.maxElements = options.maxElements || 10000;
     this.m = options.m || 16; // HNSW M parameter
     this.efConstruction = options.efConstruction || 200;
     this.efSearch = options.efSearch || 50;
+    this.compactionThreshold = options.compactionThreshold ?? 0.2; // Tombstone ratio that triggers compact()
+
+    // Index growth policy once maxElements is reached
+    this.autoResize = options.autoResize ?? true;
+    this.growthFactor = options.growthFactor || 2;
+    this.maxCapacity = options.maxCapacity || Infinity;
+
+    // Format of the vector copies kept in memoryStore: full float32, quantized codes,
+    // or none (vectors are read back from the HNSW index)
+    this.vectorStorage = options.vectorStorage || 'float32';
+    if (!VECTOR_STORAGE.includes(this.vectorStorage)) {
+      throw new Error(`Unknown vectorStorage "${this.vectorStorage}"; expected one of ${VECTOR_STORAGE.join(', ')}`);
+    }
+    this.pq = options.pq || {};
+    this.quantizer = this._createQuantizer();
 
     // Initialize HNSW index
-    this.index = new HierarchicalNSW('cosine', this.dimension);
-    this.index.initIndex(this.maxElements, this.m, this.efConstruction);
-    this.index.setEf(this.efSearch);
+    this.index = this._createIndex();
 
     // Memory store for metadata
     this.memoryStore = new Map();
     this.currentId = 0;
 
+    // Caller-supplied string keys of upserted vectors, mapped to their IDs
+    this.keyIndex = new Map();
+
+    // IDs marked deleted in the HNSW index but not yet compacted away
+    this.deletedIds = new Set();
+
+    // BM25 full-text index over the first present metadata text field
+    this.textFields = [].concat(options.textField || ['content', 'text']);
+    this.textIndex = new TextIndex(options.bm25);
+
     // ReasoningBank integration
     this.reasoningBank = new Map();
+    this.reasoningTextIndex = new TextIndex(); // Keyword candidates for searchReasoning()
+
+    // Text embedding provider for addText()/searchText()
+    this._embedderSpec = options.embedder || 'hash';
+    this.embedder = createEmbedder(this._embedderSpec, this.dimension);
+    if (this.embedder.dimension && this.embedder.dimension !== this.dimension) {
+      throw new Error(`Embedder dimension ${this.embedder.dimension} does not match index dimension ${this.dimension}`);
+    }
+
+    // Semantic index over ReasoningBank entries, filled asynchronously as entries are embedded
+    this.reasoningIndex = new ReasoningIndex({
+      dimension: this.dimension,
+      maxElements: options.reasoningMaxElements,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      growthFactor: this.growthFactor
+    });
+    this.embedConcurrency = options.embedConcurrency || 4; // Reasoning entries embedded at once
+    this._reasoningQueue = []; // [id, entry] pairs waiting to be embedded
+    this._pendingReasoning = new Set();
+    this._reasoningFailed = new Map(); // Reasoning ID -> embedding error, retried by the next search
+    this.maxOutcomes = options.maxOutcomes || 100; // Outcome history kept per reasoning entry
+
+    // Directory used by save(); set by AgentDB.open()
+    this.path = options.path || null;
+
+    // Named collections, each an independent AgentDB; this database is the 'default' collection
+    this.name = options.name || DEFAULT_COLLECTION;
+    this.collections = new Map();
+
+    // Write-ahead log of mutations since the last save(); attached by AgentDB.open()
+    this.wal = null;
+    this.walSeq = 0;
+    this.walSync = options.walSync || false;
+    this.checkpointEvery = options.checkpointEvery ?? 1000; // WAL records between automatic saves (0 disables)
+    this._walHeld = false; // After a recoverTo open: the skipped records stay in the log until save()
+
+    // Memory lifetime: default TTL for new vectors and default time decay for search()
+    this.defaultTTL = options.ttl || null;
+    this.decay = options.decay || null;
+    this._nextExpiry = Infinity; // Earliest expiresAt in the memory store
+
+    // Access tracking and importance-weighted retrieval
+    this.trackAccess = options.trackAccess ?? true; // Update lastAccessed/accessCount on search hits
+    this.retrieval = options.retrieval || null; // Default { similarity, recency, importance, halfLife } weighting
+    this.evict = options.evict || false; // Evict the least important vectors instead of failing when full
+    this.evictFraction = options.evictFraction ?? 0.05; // Share of capacity freed per eviction
+    this._suppressLog = false;
+
+    // WAL records and events held back while a transaction commits
+    this._committing = null;
+
+    // Worker threads for searchBatch(), started on first use; they reload their copy
+    // of the index when it is replaced or _indexChanges has moved on
+    this._searchPool = null;
+    this._indexChanges = 0;
+
+    this.emit('initialized', { dimension: this.dimension, maxElements: this.maxElements });
+  }
+
+  /**
+   * Open a database directory, loading the saved index without re-indexing
+   * A directory without a snapshot is initialized with an empty database.
+   * Mutations logged to the write-ahead log since the last save are replayed.
+   * @param {string} path - Database directory
+   * @param {Object} options - Constructor options for a new database
+   * @param {boolean} options.wal - Keep a write-ahead log (default: true)
+   * @param {boolean} options.walSync - fsync the log after every mutation (default: false)
+   * @param {number} options.checkpointEvery - Logged mutations between automatic saves (default: 1000)
+   * @param {number} options.recoverTo - Only replay mutations logged at or before this timestamp (ms).
+   *   Later records stay in the log, and nothing is logged, until save() checkpoints the recovered state
+   * @returns {AgentDB} The opened database
+   */
+  static open(path, options = {}) {
+    const snapshot = readSnapshot(path);
+    const db = snapshot
+      ? new AgentDB({ ...snapshot.store.settings, ...options, ...snapshot.store.config, path })
+      : new AgentDB({ ...options, path });
+
+    if (snapshot) {
+      if (options.recoverTo !== undefined && options.recoverTo < snapshot.manifest.savedAt) {
+        throw new Error(`Cannot recover to ${new Date(options.recoverTo).toISOString()}: ` +
+          `the last checkpoint was written at ${new Date(snapshot.manifest.savedAt).toISOString()}`);
+      }
+      db._loadSnapshot(snapshot);
+    } else {
+      // Persist the config right away so a logged-but-unsaved database reopens with it
+      db.save();
+    }
+
+    if (options.wal !== false) {
+      db._attachWal(options.recoverTo);
+    }
+
+    db._openOptions = {
+      wal: options.wal,
+      walSync: options.walSync,
+      checkpointEvery: options.checkpointEvery,
+      recoverTo: options.recoverTo
+    };
+    db._openCollections();
+    return db;
+  }
+
+  /**
+   * Open every collection saved under the database directory
+   * @private
+   */
+  _openCollections() {
+    const dir = join(this.path, COLLECTIONS_DIR);
+    if (!existsSync(dir)) return;
+
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const name = decodeURIComponent(entry.name);
+      const childPath = join(dir, entry.name);
+      const dimension = readManifest(childPath)?.config?.dimension ?? this.dimension;
+      const collection = AgentDB.open(childPath, {
+        ...this._openOptions,
+        embedder: this._collectionEmbedder(dimension),
+        name
+      });
+      this.collections.set(name, collection);
+    }
+  }
+
+  /**
+   * Directory of a collection inside a database directory
+   * @private
+   * @param {string} name - Collection name
+   * @param {string} root - Database directory (defaults to this.path)
+   * @returns {string} Collection directory
+   */
+  _collectionPath(name, root = this.path) {
+    return join(root, COLLECTIONS_DIR, encodeURIComponent(name));
+  }
+
+  /**
+   * Embedder for a collection: this database's embedder configuration, unless
+   * it is a provider instance fixed to a different dimension
+   * @private
+   * @param {number} dimension - Collection dimension
+   * @returns {Object|string} Embedder option for the collection
+   */
+  _collectionEmbedder(dimension) {
+    const spec = this._embedderSpec;
+    if (typeof spec?.embed === 'function' && spec.dimension && spec.dimension !== dimension) {
+      return 'hash';
+    }
+    return spec;
+  }
+
+  /**
+   * Get or create a named collection
+   * A collection is an independent AgentDB with its own index, dimension, HNSW
+   * parameters and ReasoningBank. Unspecified options are inherited from this
+   * database. The name 'default' refers to this database itself.
+   * @param {string} name - Collection name
+   * @param {Object} options - Constructor options for a new collection
+   * @returns {AgentDB} The collection
+   */
+  collection(name, options = {}) {
+    if (name === DEFAULT_COLLECTION) {
+      return this;
+    }
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Collection name must be a non-empty string');
+    }
+    // The name becomes a directory under the database; these would escape it
+    if (name === '.' || name === '..' || /[/\\]/.test(name)) {
+      throw new Error(`Invalid collection name "${name}": it must not be "." or ".." or contain a path separator`);
+    }
+
+    let collection = this.collections.get(name);
+    if (collection) {
+      return collection;
+    }
+
+    const config = {
+      ...this._config(),
+      textField: this.textFields,
+      ttl: this.defaultTTL,
+      decay: this.decay,
+      ...options,
+      name
+    };
+    config.embedder = options.embedder || this._collectionEmbedder(config.dimension);
+
+    if (this.path) {
+      collection = AgentDB.open(this._collectionPath(name), { ...this._openOptions, ...config });
+    } else {
+      collection = new AgentDB(config);
+    }
+
+    this.collections.set(name, collection);
+    this.emit('collectionCreated', { name, dimension: collection.dimension });
+    return collection;
+  }
+
+  /**
+   * List collection names (excluding the default collection)
+   * @returns {Array<string>} Collection names
+   */
+  listCollections() {
+    return Array.from(this.collections.keys());
+  }
+
+  /**
+   * Drop a collection and delete its data, including its files on disk
+   * @param {string} name - Collection name
+   * @returns {boolean} Whether the collection existed
+   */
+  dropCollection(name) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      return false;
+    }
+
+    collection.close();
+    if (collection.path) {
+      rmSync(collection.path, { recursive: true, force: true });
+    }
+    this.collections.delete(name);
+    this.emit('collectionDropped', { name });
+    return true;
+  }
+
+  /**
+   * Search several collections and merge the results by score
+   * A text query is embedded by each collection's own embedder; a vector query
+   * only searches collections of matching dimension.
+   * @param {string|Float32Array|Array} query - Query text or vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.collections - Collections to search (default: 'default' and all collections)
+   * @param {Object} options.filter - Metadata filter (see search())
+   * @returns {Promise<Array>} Results tagged with their collection name
+   */
+  async searchCollections(query, k = 5, options = {}) {
+    const { filter } = options;
+    const names = options.collections || [DEFAULT_COLLECTION, ...this.collections.keys()];
+    const isText = typeof query === 'string';
+    const results = [];
+
+    for (const name of names) {
+      const collection = name === DEFAULT_COLLECTION ? this : this.collections.get(name);
+      if (!collection) {
+        throw new Error(`Unknown collection: ${name}`);
+      }
+
+      if (!isText && query.length !== collection.dimension) {
+        if (options.collections) {
+          throw new Error(`Query dimension ${query.length} does not match collection "${name}" dimension ${collection.dimension}`);
+        }
+        continue;
+      }
+
+      const hits = isText
+        ? await collection.searchText(query, k, { filter })
+        : collection.search(query, k, { filter });
+      hits.forEach(hit => results.push({ ...hit, collection: name }));
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Open the write-ahead log in the database directory and replay it
+   * @private
+   * @param {number} recoverTo - Optional timestamp to stop replay at
+   */
+  _attachWal(recoverTo) {
+    mkdirSync(this.path, { recursive: true });
+    this.wal = new WriteAheadLog(join(this.path, WAL_FILE), { sync: this.walSync });
+
+    // Drops a line torn by a crash, so new records are not appended onto it
+    const records = this.wal.recover();
+    let replayed = 0;
+    let discarded = 0;
+
+    this._suppressLog = true;
+    try {
+      for (const record of records) {
+        if (record.seq <= this.walSeq) continue; // Already in the snapshot
+        if (recoverTo !== undefined && record.ts > recoverTo) {
+          discarded++;
+          continue;
+        }
+        this._applyRecord(record);
+        this.walSeq = record.seq;
+        replayed++;
+      }
+    } finally {
+      this._suppressLog = false;
+    }
+
+    this.wal.size = records.length;
+    // Appending after the skipped records would mix them into the recovered history,
+    // so stop logging until an explicit save() decides to drop them
+    this._walHeld = discarded > 0;
+
+    this.emit('recovered', { replayed, discarded });
+  }
+
+  /**
+   * Apply a write-ahead log record
+   * @private
+   * @param {Object} record - Logged mutation
+   */
+  _applyRecord(record) {
+    switch (record.op) {
+      case 'addVector':
+        this._replayInsert(record);
+        break;
+      case 'addVectors':
+        record.items.forEach(item => this._replayInsert(item));
+        break;
+      case 'updateMetadata':
+        this.updateMetadata(record.id, record.metadata);
+        break;
+      case 'upsert':
+      case 'updateVector':
+        this._updateEntry(record.id, new Float32Array(record.vector), record.metadata, entryFields(record));
+        break;
+      case 'deleteVector':
+        this.deleteVector(record.id);
+        break;
+      case 'setImportance':
+        this.setImportance(record.id, record.importance);
+        break;
+      case 'addReasoning': {
+        const entry = {
+          context: record.context,
+          reasoning: record.reasoning,
+          metadata: record.metadata,
+          timestamp: record.timestamp
+        };
+        this.reasoningBank.set(record.id, entry);
+        this.reasoningTextIndex.add(record.id, reasoningText(entry));
+        this._indexReasoning(record.id, entry);
+        break;
+      }
+      case 'recordOutcome': {
+        const entry = this.reasoningBank.get(record.id);
+        if (entry) this._applyOutcome(entry, record.outcome);
+        break;
+      }
+      case 'clear':
+        this.clear();
+        break;
+      case 'transaction':
+        record.ops.forEach(op => this._applyRecord(op));
+        break;
+      default:
+        throw new Error(`Unknown write-ahead log operation: ${record.op}`);
+    }
+  }
+
+  /**
+   * Re-insert a logged vector under its original ID
+   * @private
+   * @param {Object} item - Logged vector with id, vector, metadata and timestamp
+   */
+  _replayInsert(item) {
+    this._insertVector(item.id, new Float32Array(item.vector), item.metadata, item.timestamp, entryFields(item));
+    this.currentId = Math.max(this.currentId, item.id + 1);
+  }
+
+  /**
+   * Append a mutation to the write-ahead log, if one is attached
+   * @private
+   * @param {string} op - Operation name
+   * @param {Object} payload - Data needed to replay the operation
+   */
+  _logMutation(op, payload = {}) {
+    if (!this.wal || this._suppressLog || this._walHeld) return;
+    if (this._committing) {
+      // Committing a transaction: its operations are logged as one record afterwards
+      this._committing.log.push({ op, ...payload });
+      return;
+    }
+    this.wal.append({ seq: ++this.walSeq, ts: Date.now(), op, ...payload });
+  }
+
+  /**
+   * Save once the write-ahead log has grown past checkpointEvery records
+   * @private
+   */
+  _maybeCheckpoint() {
+    if (this.wal && !this._suppressLog && !this._walHeld && !this._committing &&
+        this.checkpointEvery > 0 && this.wal.size >= this.checkpointEvery) {
+      this.save();
+    }
+  }
+
+  /**
+   * Close the write-ahead log
+   * Unsaved mutations stay in the log and are replayed by the next open()
+   */
+  close() {
+    if (this._searchPool) {
+      this._searchPool.terminate();
+      this._searchPool = null;
+    }
+    if (this.wal) {
+      this.wal.close();
+      this.wal = null;
+    }
+    for (const collection of this.collections.values()) {
+      collection.close();
+    }
+    this.emit('closed');
+  }
+
+  /**
+   * Restore state from an on-disk snapshot
+   * @private
+   * @param {Object} snapshot - Snapshot from readSnapshot()
+   */
+  _loadSnapshot(snapshot) {
+    const { store, reasoning, vectors, indexPath } = snapshot;
+    const expectedBytes = store.entries.length * this.dimension * Float32Array.BYTES_PER_ELEMENT;
+    if (vectors.length !== expectedBytes) {
+      throw new Error(`Vector file holds ${vectors.length} bytes, expected ${expectedBytes}`);
+    }
+
+    this.index = new HierarchicalNSW(this.metric, this.dimension);
+    this.index.readIndexSync(indexPath);
+    this.index.setEf(this.efSearch);
+    // hnswlib loads an index with capacity equal to its element count
+    if (this.index.getMaxElements() < this.maxElements) {
+      this.index.resizeIndex(this.maxElements);
+    }
+
+    const data = new Float32Array(vectors.buffer.slice(vectors.byteOffset, vectors.byteOffset + vectors.length));
+    this.memoryStore.clear();
+    this.keyIndex.clear();
+    this.textIndex.clear();
+    if (store.quantizer) {
+      this.quantizer = restoreQuantizer(store.quantizer);
+    }
+    store.entries.forEach((entry, idx) => {
+      const offset = idx * this.dimension;
+      const loaded = {
+        metadata: entry.metadata,
+        timestamp: entry.timestamp,
+        ...entryFields(entry),
+        id: entry.id
+      };
+      this._setEntryVector(loaded, data.slice(offset, offset + this.dimension));
+      this.memoryStore.set(entry.id, loaded);
+      if (entry.key !== undefined) {
+        this.keyIndex.set(entry.key, entry.id);
+      }
+      this._indexText(entry.id, entry.metadata);
+      this._nextExpiry = Math.min(this._nextExpiry, entry.expiresAt ?? Infinity);
+    });
+
+    this.deletedIds = new Set(store.deletedIds);
+    this.reasoningBank = new Map(reasoning);
+    this._reindexReasoning(this._savedEmbeddings(store.reasoningEmbeddings, snapshot.reasoningVectors));
+    this.currentId = store.currentId;
+    this.walSeq = store.walSeq || 0;
+
+    this.emit('loaded', { path: this.path, vectors: this.memoryStore.size, reasoning: this.reasoningBank.size });
+  }
+
+  /**
+   * Quantizer for the configured vectorStorage
+   * @private
+   * @returns {Object|null} Quantizer, or null when vectors are not quantized
+   */
+  _createQuantizer() {
+    const quantized = this.vectorStorage === 'int8' || this.vectorStorage === 'pq';
+    return quantized ? createQuantizer(this.vectorStorage, this.dimension, this.pq) : null;
+  }
+
+  /**
+   * Store a vector on a memory store entry in the configured format
+   * Float32 vectors are kept as-is. Otherwise the entry keeps quantized codes
+   * (or nothing) and entry.vector reconstructs the vector when read. Until a
+   * product quantizer is trained, entries keep their raw vectors as training data.
+   * @private
+   * @param {Object} entry - Memory store entry (with id)
+   * @param {Float32Array} vectorArray - The vector
+   */
+  _setEntryVector(entry, vectorArray) {
+    if (this.vectorStorage === 'float32' || (this.quantizer && !this.quantizer.trained)) {
+      Object.defineProperty(entry, 'vector', { value: vectorArray, writable: true, enumerable: true, configurable: true });
+      return;
+    }
+
+    if (this.quantizer) {
+      Object.defineProperty(entry, 'codes', { value: this.quantizer.encode(vectorArray), writable: true, configurable: true });
+    }
+    this._bindVectorGetter(entry);
+  }
+
+  /**
+   * Make entry.vector reconstruct the vector from this database's quantizer or index
+   * @private
+   * @param {Object} entry - Memory store entry without a raw vector
+   */
+  _bindVectorGetter(entry) {
+    Object.defineProperty(entry, 'vector', {
+      get: () => (entry.codes
+        ? this.quantizer.decode(entry.codes)
+        : Float32Array.from(this.index.getPoint(entry.id))),
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  /**
+   * Train the product quantizer on the vectors stored so far and encode them
+   * Runs automatically once pq.trainingSize vectors have been added.
+   * @returns {boolean} Whether training ran (false unless vectorStorage is 'pq' and untrained)
+   */
+  trainQuantizer() {
+    if (!this.quantizer || this.quantizer.trained) {
+      return false;
+    }
+
+    const entries = Array.from(this.memoryStore.values());
+    if (entries.length === 0) {
+      throw new Error('Cannot train the quantizer without stored vectors');
+    }
+    this.quantizer.train(entries.map(entry => entry.vector));
+    for (const entry of entries) {
+      this._setEntryVector(entry, entry.vector);
+    }
+
+    this.emit('quantizerTrained', { type: this.vectorStorage, samples: entries.length });
+    return true;
+  }
+
+  /**
+   * Index and growth configuration, as persisted by save() and export()
+   * @private
+   * @returns {Object} Config
+   */
+  _config() {
+    return {
+      dimension: this.dimension,
+      metric: this.metric,
+      normalize: this.normalize,
+      maxElements: this.maxElements,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      compactionThreshold: this.compactionThreshold,
+      autoResize: this.autoResize,
+      growthFactor: this.growthFactor,
+      maxCapacity: this.maxCapacity,
+      vectorStorage: this.vectorStorage,
+      pq: this.pq
+    };
+  }
+
+  /**
+   * Options that shape behaviour rather than the index
+   * Saved and exported alongside the config so a collection, which is reopened
+   * without its creation options, keeps them. Options given to open() win.
+   * @private
+   * @returns {Object} Constructor options
+   */
+  _settings() {
+    return {
+      ttl: this.defaultTTL,
+      decay: this.decay,
+      textField: this.textFields,
+      bm25: { k1: this.textIndex.k1, b: this.textIndex.b },
+      retrieval: this.retrieval,
+      trackAccess: this.trackAccess,
+      evict: this.evict,
+      evictFraction: this.evictFraction,
+      maxOutcomes: this.maxOutcomes
+    };
+  }
+
+  /**
+   * Adopt an exported config; the caller rebuilds the indexes afterwards
+   * Fields missing from older exports keep their current values, except the
+   * metric, which was always cosine before it was configurable.
+   * @private
+   * @param {Object} config - Config from export()
+   */
+  _applyConfig(config) {
+    const dimension = config.dimension ?? this.dimension;
+    const embedder = dimension === this.dimension ? this.embedder : createEmbedder(this._embedderSpec, dimension);
+    if (embedder.dimension && embedder.dimension !== dimension) {
+      throw new Error(`Embedder dimension ${embedder.dimension} does not match imported dimension ${dimension}`);
+    }
+
+    this.dimension = dimension;
+    this.embedder = embedder;
+    this.metric = config.metric ?? 'cosine';
+    this.normalize = config.normalize ?? false;
+    for (const key of INDEX_PARAMS) {
+      this[key] = config[key] ?? this[key];
+    }
+    this.compactionThreshold = config.compactionThreshold ?? this.compactionThreshold;
+    this.autoResize = config.autoResize ?? this.autoResize;
+    this.growthFactor = config.growthFactor ?? this.growthFactor;
+    if ('maxCapacity' in config) {
+      this.maxCapacity = config.maxCapacity ?? Infinity; // JSON stores Infinity as null
+    }
+    this.vectorStorage = config.vectorStorage ?? 'float32';
+    this.pq = config.pq ?? {};
+    this.quantizer = this._createQuantizer();
+
+    this.reasoningIndex = new ReasoningIndex({
+      dimension: this.dimension,
+      maxElements: this.reasoningIndex.maxElements,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      growthFactor: this.growthFactor
+    });
+  }
+
+  /**
+   * Write the database to disk
+   * The native index, raw vectors, metadata and reasoning are written as a new
+   * generation and swapped in atomically, so a crash keeps the previous save.
+   * Saving to the opened path is a checkpoint: the write-ahead log is truncated.
+   * @param {string} path - Database directory (defaults to the opened path)
+   * @returns {Object} The written manifest
+   */
+  save(path = this.path) {
+    if (!path) {
+      throw new Error('No database path: use AgentDB.open(path) or pass a path to save()');
+    }
+
+    const entries = [];
+    const { ids: embeddedIds, vectors: reasoningVectors } = this._reasoningEmbeddings();
+    const vectors = new Float32Array(this.memoryStore.size * this.dimension);
+    let offset = 0;
+    for (const [id, data] of this.memoryStore.entries()) {
+      vectors.set(this._exactVector(data), offset);
+      offset += this.dimension;
+      entries.push({ id, metadata: data.metadata, timestamp: data.timestamp, ...entryFields(data) });
+    }
+
+    const manifest = writeSnapshot(path, {
+      index: this.index,
+      vectors: Buffer.from(vectors.buffer),
+      store: {
+        config: this._config(),
+        settings: this._settings(),
+        reasoningEmbeddings: { embedder: this._embedderId(), ids: embeddedIds },
+        currentId: this.currentId,
+        walSeq: this.walSeq,
+        quantizer: this.quantizer?.trained ? this.quantizer.toJSON() : null,
+        deletedIds: Array.from(this.deletedIds),
+        entries
+      },
+      reasoning: Array.from(this.reasoningBank.entries()),
+      reasoningVectors: Buffer.from(reasoningVectors.buffer)
+    });
+
+    if (this.wal && path === this.path) {
+      this.wal.truncate();
+      this._walHeld = false;
+    }
+
+    for (const [name, collection] of this.collections.entries()) {
+      const childPath = path === this.path && collection.path ? collection.path : this._collectionPath(name, path);
+      collection.save(childPath);
+    }
+
+    this.path = this.path || path;
+    this.emit('saved', { path, generation: manifest.generation, vectors: entries.length });
+    return manifest;
+  }
+
+  /**
+   * Create an empty HNSW index using the current configuration
+   * @private
+   * @returns {HierarchicalNSW} The initialized index
+   */
+  _createIndex() {
+    const index = new HierarchicalNSW(this.metric, this.dimension);
+    index.initIndex(this.maxElements, this.m, this.efConstruction);
+    index.setEf(this.efSearch);
+    return index;
+  }
+
+  /**
+   * Add a vector with metadata to the database
+   * @param {Float32Array|Array} vector - The embedding vector
+   * @param {Object} metadata - Associated metadata
+   * @param {Object} options - Insert options
+   * @param {number} options.ttl - Lifetime in ms, after which the vector expires (default: the ttl option)
+   * @param {number} options.importance - Importance in [0, 1] (default: derived from accesses)
+   * @param {string} options.key - Unique string key for get()/upsert() (default: none)
+   * @returns {number} The ID of the added vector
+   */
+  addVector(vector, metadata = {}, options = {}) {
+    const vectorArray = this._prepareVector(vector);
+
+    if (vectorArray.length !== this.dimension) {
+      throw new Error(`Vector dimension ${vectorArray.length} does not match index dimension ${this.dimension}`);
+    }
+
+    this._expireDue();
+    return this._addVector(this.currentId, vectorArray, metadata, options);
+  }
+
+  /**
+   * Insert, log and announce a validated vector under a given ID
+   * @private
+   * @param {number} id - Vector ID (currentId, or one reserved by a transaction)
+   * @param {Float32Array} vectorArray - Prepared vector
+   * @param {Object} metadata - Associated metadata
+   * @param {Object} options - Insert options (ttl, importance, key)
+   * @returns {number} The ID of the added vector
+   */
+  _addVector(id, vectorArray, metadata, options) {
+    const timestamp = Date.now();
+    const fields = {
+      ...this._keyFields(options.key),
+      ...this._expiryFields(options.ttl, timestamp),
+      ...this._importanceFields(options.importance)
+    };
+    this._insertVector(id, vectorArray, metadata, timestamp, fields);
+    this.currentId = Math.max(this.currentId, id + 1);
+    this._logMutation('addVector', { id, vector: Array.from(vectorArray), metadata, timestamp, ...fields });
+
+    this.emit('vectorAdded', { id, metadata });
+    this._maybeCheckpoint();
+    return id;
+  }
+
+  /**
+   * Convert input to a Float32Array, L2-normalizing a copy when normalize is enabled
+   * @private
+   * @param {Float32Array|Array} vector - Input vector
+   * @returns {Float32Array} Vector ready for the index
+   */
+  _prepareVector(vector) {
+    const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
+    if (!this.normalize) {
+      return vectorArray;
+    }
+
+    let magnitude = 0;
+    for (let i = 0; i < vectorArray.length; i++) {
+      magnitude += vectorArray[i] * vectorArray[i];
+    }
+    magnitude = Math.sqrt(magnitude);
+    return magnitude > 0 ? vectorArray.map(value => value / magnitude) : Float32Array.from(vectorArray);
+  }
+
+  /**
+   * Add many vectors at once
+   * Every vector is validated before anything is inserted, capacity is grown
+   * once for the whole batch, and a single 'vectorsAdded' event is emitted
+   * @param {Array<Object>} items - Items of the form { vector, metadata, ttl, importance, key }
+   * @returns {Array<number>} IDs of the added vectors, in input order
+   */
+  addVectors(items) {
+    this._expireDue();
+    const start = process.hrtime.bigint();
+    const keys = new Set();
+    const vectors = items.map((item, idx) => {
+      const vectorArray = this._prepareVector(item.vector);
+      if (vectorArray.length !== this.dimension) {
+        throw new Error(`Item ${idx}: vector dimension ${vectorArray.length} does not match index dimension ${this.dimension}`);
+      }
+      if (item.key !== undefined) {
+        if (keys.has(item.key)) {
+          throw new Error(`Item ${idx}: duplicate key "${item.key}" in batch`);
+        }
+        this._keyFields(item.key);
+        keys.add(item.key);
+      }
+      return vectorArray;
+    });
+
+    this._ensureCapacity(vectors.length);
+
+    const timestamp = Date.now();
+    const logged = [];
+    const ids = vectors.map((vectorArray, idx) => {
+      const id = this.currentId;
+      const metadata = items[idx].metadata || {};
+      const fields = {
+        ...this._keyFields(items[idx].key),
+        ...this._expiryFields(items[idx].ttl, timestamp),
+        ...this._importanceFields(items[idx].importance)
+      };
+      this._insertVector(id, vectorArray, metadata, timestamp, fields);
+      this.currentId++;
+      if (this.wal) {
+        logged.push({ id, vector: Array.from(vectorArray), metadata, timestamp, ...fields });
+      }
+      return id;
+    });
+    this._logMutation('addVectors', { items: logged });
+
+    const durationMs = Number(process.hrtime.bigint() - start) / 1_000_000;
+    this.emit('vectorsAdded', { ids, count: ids.length, durationMs });
+    this._maybeCheckpoint();
+    return ids;
+  }
+
+  /**
+   * Insert a point into the index and memory store under a given ID
+   * @private
+   * @param {number} id - Vector ID
+   * @param {Float32Array} vectorArray - The embedding vector
+   * @param {Object} metadata - Associated metadata
+   * @param {number} timestamp - Creation time
+   * @param {Object} fields - Optional entry fields (key, expiresAt, accessCount)
+   */
+  _insertVector(id, vectorArray, metadata, timestamp, fields = {}) {
+    this._ensureCapacity(1);
+
+    // Convert to regular array for hnswlib-node
+    this.index.addPoint(Array.from(vectorArray), id);
+    this._indexChanges++;
+    const entry = { metadata, timestamp, ...fields, id };
+    this._setEntryVector(entry, vectorArray);
+    this.memoryStore.set(id, entry);
+    this._committing?.journal.push({ added: id });
+    if (fields.key !== undefined) {
+      this.keyIndex.set(fields.key, id);
+    }
+    this._indexText(id, metadata);
+    this._nextExpiry = Math.min(this._nextExpiry, fields.expiresAt ?? Infinity);
+
+    if (this.quantizer && !this.quantizer.trained && this.memoryStore.size >= this.quantizer.trainingSize) {
+      this.trainQuantizer();
+    }
+  }
+
+  /**
+   * Key field for a new vector, validated
+   * @private
+   * @param {string} key - Caller-supplied key, or undefined
+   * @returns {Object} { key } or an empty object
+   */
+  _keyFields(key) {
+    if (key === undefined) {
+      return {};
+    }
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error(`Key must be a non-empty string, got ${JSON.stringify(key)}`);
+    }
+    if (this.keyIndex.has(key)) {
+      throw new Error(`Key "${key}" already exists; use upsert() to replace it`);
+    }
+    return { key };
+  }
+
+  /**
+   * Insert or replace the vector stored under a string key
+   * A new key gets a new ID. An existing key keeps its ID and timestamp: the point
+   * is replaced in the HNSW index, the metadata is replaced and updatedAt is set.
+   * @param {string} key - Caller-supplied key
+   * @param {Float32Array|Array} vector - The embedding vector
+   * @param {Object} metadata - Associated metadata
+   * @param {Object} options - Insert options
+   * @param {number} options.ttl - Lifetime in ms from now (default: the ttl option; keeps the current expiry when neither is set)
+   * @param {number} options.importance - Importance in [0, 1] (default: unchanged)
+   * @returns {number} The ID of the vector
+   */
+  upsert(key, vector, metadata = {}, options = {}) {
+    this._expireDue();
+    const id = this.keyIndex.get(key);
+    if (id === undefined) {
+      return this.addVector(vector, metadata, { ...options, key });
+    }
+
+    const vectorArray = this._prepareVector(vector);
+    if (vectorArray.length !== this.dimension) {
+      throw new Error(`Vector dimension ${vectorArray.length} does not match index dimension ${this.dimension}`);
+    }
+
+    const updatedAt = Date.now();
+    const fields = {
+      ...this._expiryFields(options.ttl, updatedAt),
+      ...this._importanceFields(options.importance),
+      updatedAt
+    };
+    this._updateEntry(id, vectorArray, metadata, fields);
+    this._logMutation('upsert', { id, vector: Array.from(vectorArray), metadata, ...fields });
+
+    this.emit('vectorUpdated', { id, key, metadata });
+    this._maybeCheckpoint();
+    return id;
+  }
+
+  /**
+   * Replace the vector of a stored entry in place
+   * hnswlib updates the point when addPoint() is called with an existing label,
+   * so the entry keeps its ID and graph slot.
+   * @private
+   * @param {number} id - Vector ID
+   * @param {Float32Array} vectorArray - New vector
+   * @param {Object} metadata - New metadata, or undefined to keep it
+   * @param {Object} fields - Entry fields to set (updatedAt, expiresAt, importance)
+   */
+  _updateEntry(id, vectorArray, metadata, fields) {
+    this._journal(id);
+    const entry = this.memoryStore.get(id);
+    this.index.addPoint(Array.from(vectorArray), id);
+    this._indexChanges++;
+    this._setEntryVector(entry, vectorArray);
+    if (metadata !== undefined) {
+      entry.metadata = metadata;
+      this._indexText(id, metadata);
+    }
+    Object.assign(entry, fields);
+    this._nextExpiry = Math.min(this._nextExpiry, entry.expiresAt ?? Infinity);
+  }
+
+  /**
+   * Get the vector stored under a key
+   * @param {string} key - Key given to upsert() or addVector()
+   * @returns {Object|null} { id, key, vector, metadata, timestamp, ... } or null
+   */
+  get(key) {
+    this._expireDue();
+    const id = this.keyIndex.get(key);
+    return id === undefined ? null : { ...this.memoryStore.get(id) };
+  }
+
+  /**
+   * Check whether a key is stored
+   * @param {string} key - Key given to upsert() or addVector()
+   * @returns {boolean} True if the key maps to a live vector
+   */
+  has(key) {
+    this._expireDue();
+    return this.keyIndex.has(key);
+  }
+
+  /**
+   * Delete the vector stored under a key
+   * @param {string} key - Key given to upsert() or addVector()
+   * @returns {boolean} True if a vector was deleted
+   */
+  deleteByKey(key) {
+    const id = this.keyIndex.get(key);
+    return id === undefined ? false : this.deleteVector(id);
+  }
+
+  /**
+   * Expiry fields for a vector inserted at a given time
+   * @private
+   * @param {number} ttl - Lifetime in ms (falls back to the ttl option)
+   * @param {number} timestamp - Insert time
+   * @returns {Object} { expiresAt } or an empty object for vectors that never expire
+   */
+  _expiryFields(ttl, timestamp) {
+    const lifetime = ttl ?? this.defaultTTL;
+    return lifetime ? { expiresAt: timestamp + lifetime } : {};
+  }
+
+  /**
+   * Importance field for a vector, validated
+   * @private
+   * @param {number} importance - Importance in [0, 1], or undefined to derive it from accesses
+   * @returns {Object} { importance } or an empty object
+   */
+  _importanceFields(importance) {
+    if (importance === undefined || importance === null) {
+      return {};
+    }
+    if (!(importance >= 0 && importance <= 1)) {
+      throw new Error(`Importance must be between 0 and 1, got ${importance}`);
+    }
+    return { importance };
+  }
+
+  /**
+   * Importance of a vector: the value set by the caller, or one derived from
+   * how often it has been retrieved (0 when never accessed, 0.5 at 5 accesses)
+   * @param {number} id - Vector ID
+   * @returns {number|null} Importance in [0, 1], or null if the vector does not exist
+   */
+  getImportance(id) {
+    const entry = this.memoryStore.get(id);
+    return entry ? this._importance(entry) : null;
+  }
+
+  /**
+   * Importance of a memory store entry
+   * @private
+   * @param {Object} entry - Memory store entry
+   * @returns {number} Importance in [0, 1]
+   */
+  _importance(entry) {
+    if (entry.importance !== undefined) {
+      return entry.importance;
+    }
+    const accesses = entry.accessCount ?? 0;
+    return accesses / (accesses + IMPORTANCE_HALF_ACCESSES);
+  }
+
+  /**
+   * Set (or, with null, clear) the importance of a vector
+   * @param {number} id - Vector ID
+   * @param {number|null} importance - Importance in [0, 1]; null reverts to the derived value
+   * @returns {boolean} Whether the vector exists
+   */
+  setImportance(id, importance) {
+    const entry = this.memoryStore.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    const fields = this._importanceFields(importance);
+    if (fields.importance === undefined) {
+      delete entry.importance;
+    } else {
+      entry.importance = fields.importance;
+    }
+    this._logMutation('setImportance', { id, importance: fields.importance ?? null });
+    this.emit('importanceUpdated', { id, importance: this._importance(entry) });
+    this._maybeCheckpoint();
+    return true;
+  }
+
+  /**
+   * Update lastAccessed and accessCount for returned results
+   * Access statistics are persisted by the next save(), not logged per search.
+   * @private
+   * @param {Array} results - Search results to count as hits
+   * @returns {Array} The same results, with updated access fields
+   */
+  _recordAccess(results) {
+    const now = Date.now();
+    for (const result of results) {
+      const entry = this.memoryStore.get(result.id);
+      if (!entry) continue;
+      entry.accessCount = (entry.accessCount ?? 0) + 1;
+      entry.lastAccessed = now;
+      result.accessCount = entry.accessCount;
+      result.lastAccessed = now;
+    }
+    return results;
+  }
+
+  /**
+   * Delete every vector whose TTL has passed
+   * Runs automatically before searches and inserts once the earliest expiry is due.
+   * @returns {Array<number>} IDs of the expired vectors
+   */
+  expire() {
+    const now = Date.now();
+    const expired = [];
+    let next = Infinity;
+    for (const [id, entry] of this.memoryStore.entries()) {
+      if (entry.expiresAt === undefined) continue;
+      if (entry.expiresAt <= now) {
+        expired.push(id);
+      } else {
+        next = Math.min(next, entry.expiresAt);
+      }
+    }
+
+    for (const id of expired) {
+      this.deleteVector(id);
+    }
+    this._nextExpiry = next;
+
+    if (expired.length > 0) {
+      this.emit('expired', { ids: expired });
+    }
+    return expired;
+  }
+
+  /**
+   * Run expire() if the earliest expiry has been reached
+   * @private
+   */
+  _expireDue() {
+    // Nothing expires half-way through committing a transaction
+    if (Date.now() >= this._nextExpiry && !this._committing) {
+      this.expire();
+    }
+  }
+
+  /**
+   * Merge near-duplicate vectors into single summarized entries
+   * Each group of vectors whose cosine similarity to the group's oldest member
+   * reaches the threshold is replaced by one entry holding the mean vector, the
+   * newest member's timestamp, the summed access counts of its members and the
+   * highest importance set on any of them. Vectors with a key are left alone.
+   * @param {Object} options - Consolidation options
+   * @param {number} options.threshold - Minimum cosine similarity to merge (default: 0.95)
+   * @param {number} options.candidates - Nearest neighbors checked per vector (default: 10)
+   * @param {Object} options.filter - Only consolidate vectors whose metadata matches
+   * @param {Function} options.merge - (entries) => metadata for the merged entry
+   *   (default: the newest member's metadata plus consolidatedFrom)
+   * @returns {Array} One { id, mergedIds } per merged entry
+   */
+  consolidate(options = {}) {
+    const { threshold = 0.95, candidates = 10, filter, merge = defaultMerge } = options;
+    this._expireDue();
+
+    const grouped = new Set();
+    const groups = [];
+    const ids = Array.from(this.memoryStore.keys()).sort((a, b) => a - b);
+    for (const id of ids) {
+      const entry = this.memoryStore.get(id);
+      // Keyed vectors are owned by their caller, so they are never merged away
+      if (grouped.has(id) || entry.key !== undefined || !matchesFilter(entry.metadata, filter)) continue;
+
+      // Compare the indexed points, which stay exact when stored vectors are quantized
+      const vector = this.index.getPoint(id);
+      const count = Math.min(candidates + 1, this.memoryStore.size);
+      const { neighbors } = this._searchKnn(vector, count);
+      const group = [entry];
+      for (const neighbor of neighbors) {
+        const other = this.memoryStore.get(neighbor);
+        if (neighbor === id || grouped.has(neighbor) || !other || other.key !== undefined ||
+            !matchesFilter(other.metadata, filter)) continue;
+        if (cosineSimilarity(vector, this.index.getPoint(neighbor)) >= threshold) {
+          group.push(other);
+        }
+      }
+
+      if (group.length > 1) {
+        group.forEach(member => grouped.add(member.id));
+        groups.push(group);
+      }
+    }
+
+    const merged = groups.map(group => this._mergeEntries(group, merge));
+    if (merged.length > 0) {
+      this.emit('consolidated', { merged, removed: grouped.size });
+    }
+    return merged;
+  }
+
+  /**
+   * Replace a group of vectors with one merged entry
+   * @private
+   * @param {Array<Object>} group - Memory store entries to merge
+   * @param {Function} merge - (entries) => metadata for the merged entry
+   * @returns {Object} { id, mergedIds }
+   */
+  _mergeEntries(group, merge) {
+    const vector = new Float32Array(this.dimension);
+    for (const member of group) {
+      const memberVector = this._exactVector(member);
+      for (let i = 0; i < this.dimension; i++) {
+        vector[i] += memberVector[i] / group.length;
+      }
+    }
+
+    // The merged memory keeps the access history of all members and lives as long as the longest-lived one
+    const fields = {
+      accessCount: group.reduce((sum, member) => sum + (member.accessCount ?? 0), 0)
+    };
+    const accessed = group.map(member => member.lastAccessed).filter(time => time !== undefined);
+    if (accessed.length > 0) {
+      fields.lastAccessed = Math.max(...accessed);
+    }
+    const importances = group.map(member => member.importance).filter(value => value !== undefined);
+    if (importances.length > 0) {
+      fields.importance = Math.max(...importances);
+    }
+    const expiries = group.map(member => member.expiresAt);
+    if (expiries.every(expiresAt => expiresAt !== undefined)) {
+      fields.expiresAt = Math.max(...expiries);
+    }
+
+    const id = this.currentId;
+    const metadata = merge(group);
+    const timestamp = Math.max(...group.map(member => member.timestamp));
+    const vectorArray = this._prepareVector(vector);
+    this._insertVector(id, vectorArray, metadata, timestamp, fields);
+    this.currentId++;
+    this._logMutation('addVector', { id, vector: Array.from(vectorArray), metadata, timestamp, ...fields });
+
+    const mergedIds = group.map(member => member.id);
+    mergedIds.forEach(mergedId => this.deleteVector(mergedId));
+    return { id, mergedIds };
+  }
+
+  /**
+   * Add a vector's metadata text to the full-text index
+   * @private
+   * @param {number} id - Vector ID
+   * @param {Object} metadata - Vector metadata
+   */
+  _indexText(id, metadata) {
+    const field = this.textFields.find(name => typeof metadata?.[name] === 'string');
+    if (field) {
+      this.textIndex.add(id, metadata[field]);
+    } else {
+      this.textIndex.remove(id);
+    }
+  }
+
+  /**
+   * Grow the index, if allowed, so that it can hold more points
+   * @private
+   * @param {number} additional - Number of points about to be added
+   */
+  _ensureCapacity(additional, keep) {
+    const needed = this.index.getCurrentCount() + additional;
+    if (needed <= this.maxElements) return;
+
+    if (this.autoResize) {
+      const grown = Math.min(Math.max(needed, Math.ceil(this.maxElements * this.growthFactor)), this.maxCapacity);
+      if (grown >= needed) {
+        this.resize(grown);
+        return;
+      }
+      if (!this.evict) {
+        throw new Error(`Index cannot grow beyond maxCapacity ${this.maxCapacity}`);
+      }
+      if (grown > this.maxElements) {
+        this.resize(grown);
+      }
+    } else if (!this.evict) {
+      throw new Error(`Index is full (maxElements ${this.maxElements}); enable autoResize or call resize()`);
+    }
+
+    this._evictFor(additional, keep);
+  }
+
+  /**
+   * Make room in a full index by evicting the least important vectors
+   * Ties go to the least recently accessed. At least evictFraction of the
+   * capacity is freed so that consecutive inserts don't each rebuild the index.
+   * @private
+   * @param {number} additional - Number of points about to be added
+   * @param {Set<number>} keep - IDs that must not be evicted (optional)
+   */
+  _evictFor(additional, keep) {
+    if (additional > this.maxElements) {
+      throw new Error(`Cannot add ${additional} vectors to an index with capacity ${this.maxElements}`);
+    }
+
+    // Deleted points still hold slots until the index is rebuilt
+    if (this.deletedIds.size > 0) {
+      this.compact({ force: true });
+    }
+    const overflow = this.memoryStore.size + additional - this.maxElements;
+    if (overflow <= 0) return;
+
+    const candidates = Array.from(this.memoryStore.values()).filter(entry => !keep?.has(entry.id));
+    if (candidates.length < overflow) {
+      throw new Error(`Cannot make room for ${additional} vectors: only ${candidates.length} can be evicted`);
+    }
+    const count = Math.min(candidates.length, Math.max(overflow, Math.ceil(this.maxElements * this.evictFraction)));
+    const ids = candidates
+      .sort((a, b) => this._importance(a) - this._importance(b) ||
+        (a.lastAccessed ?? a.timestamp) - (b.lastAccessed ?? b.timestamp))
+      .slice(0, count)
+      .map(entry => entry.id);
+
+    ids.forEach(id => this.deleteVector(id));
+    this.compact({ force: true });
+    this.emit('evicted', { ids });
+  }
+
+  /**
+   * Resize the HNSW index
+   * @param {number} capacity - New maximum number of points (including deleted points awaiting compaction)
+   */
+  resize(capacity) {
+    const indexed = this.index.getCurrentCount();
+    if (capacity < indexed) {
+      throw new Error(`Cannot resize to ${capacity}: the index already holds ${indexed} points`);
+    }
+
+    const previous = this.maxElements;
+    this.index.resizeIndex(capacity);
+    this.maxElements = capacity;
+    this.emit('resized', { previous, capacity });
+  }
+
+  /**
+   * Search for nearest neighbors
+   * When a filter is given the candidate pool is widened until k matching
+   * results are found or the whole index has been considered
+   * @param {Float32Array|Array} query - Query vector
+   * @param {number|Object} k - Number of results, or an options object with k (or topK) and filter
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter ($eq, $in, $gt, $lt, $exists, $and, $or)
+   * @param {Object} options.decay - Blend recency into the score: { halfLife (ms), weight (default: 0.5) }
+   *   (default: the decay option)
+   * @param {Object} options.retrieval - Rank by a weighted mix instead: { similarity, recency, importance }
+   *   weights (default: 1 each) and halfLife (ms) of recency since last access (default: the retrieval option)
+   * @param {boolean|Object} options.mmr - Maximal marginal relevance: { lambda (relevance vs. novelty, 0..1,
+   *   default: 0.5), maxSimilarity (skip candidates at least this similar to a selected result) }
+   * @param {string} options.groupBy - Return at most one result per value of this metadata field
+   * @param {number} options.minScore - Drop results scoring below this
+   * @param {number} options.candidates - Nearest neighbors re-ranked when decay, retrieval, mmr or groupBy
+   *   is used (default: 4k)
+   * @param {boolean} options.trackAccess - Count the results as accesses (default: the trackAccess option)
+   * @param {boolean} options.exact - Scan every vector instead of the HNSW graph (default: false)
+   * @param {number} options.ef - efSearch for this call; raised to the number of candidates
+   *   fetched when smaller (default: the efSearch option)
+   * @returns {Array} Array of results with id, distance, score (higher is more similar), and metadata
+   */
+  search(query, k = 5, options = {}) {
+    if (typeof k === 'object' && k !== null) {
+      options = k;
+      k = options.k ?? options.topK ?? 5;
+    }
+
+    const queryArray = this._prepareVector(query);
+
+    if (queryArray.length !== this.dimension) {
+      throw new Error(`Query dimension ${queryArray.length} does not match index dimension ${this.dimension}`);
+    }
+    if (options.ef !== undefined) {
+      this._validateEf(options.ef);
+    }
+
+    this._expireDue();
+    const live = this.memoryStore.size;
+    if (live === 0 || k <= 0) {
+      return [];
+    }
+
+    // Convert to regular array for hnswlib-node
+    const point = Array.from(queryArray);
+    const { filter } = options;
+    const wanted = this._candidateCount(k, options);
+    let matches;
+
+    if (options.exact) {
+      matches = this._exactNearest(queryArray, wanted, filter).map(({ id, distance }) => ({
+        id,
+        distance,
+        score: distanceToScore(distance, this.metric),
+        ...this.memoryStore.get(id)
+      }));
+    } else {
+      let pool = Math.min(wanted, live);
+      while (true) {
+        matches = this._matches(this._searchKnn(point, pool, options.ef), filter);
+        if (matches.length >= wanted || pool >= live) break;
+        pool = Math.min(pool * 2, live);
+      }
+    }
+
+    return this._finishSearch(matches, k, options);
+  }
+
+  /**
+   * Number of nearest neighbors a search needs before ranking
+   * Re-ranked searches fetch a wider pool, as the best final results need not
+   * be the nearest.
+   * @private
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options (see search())
+   * @returns {number} Candidate count
+   */
+  _candidateCount(k, options) {
+    const reranked = Boolean(options.retrieval ?? this.retrieval ?? options.decay ?? this.decay) ||
+      Boolean(options.mmr || options.groupBy);
+    return reranked ? Math.max(k, options.candidates ?? k * 4) : k;
+  }
+
+  /**
+   * Turn kNN neighbors into search matches, skipping entries that fail the filter
+   * @private
+   * @param {Object} result - hnswlib result { neighbors, distances }
+   * @param {Object} filter - Metadata filter (optional)
+   * @returns {Array<Object>} Matches with id, distance, score and the entry's fields
+   */
+  _matches(result, filter) {
+    const matches = [];
+    for (let idx = 0; idx < result.neighbors.length; idx++) {
+      const id = result.neighbors[idx];
+      const entry = this.memoryStore.get(id);
+      if (entry && matchesFilter(entry.metadata, filter)) {
+        const distance = result.distances[idx];
+        matches.push({ id, distance, score: distanceToScore(distance, this.metric), ...entry });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Rank and select the final results of a search and record the access
+   * @private
+   * @param {Array<Object>} matches - Candidate matches
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options (see search())
+   * @returns {Array} Search results
+   */
+  _finishSearch(matches, k, options) {
+    const results = this._select(this._rank(matches, options), k, options);
+    return (options.trackAccess ?? this.trackAccess) ? this._recordAccess(results) : results;
+  }
+
+  /**
+   * Query the HNSW index with a given ef
+   * hnswlib keeps ef on the index, so a per-call value is set for the query and
+   * then restored. ef is raised to count: a search with ef below the number of
+   * results wanted cannot return them reliably.
+   * @private
+   * @param {Array} point - Query vector as a plain array
+   * @param {number} count - Number of neighbors
+   * @param {number} ef - Requested ef (default: efSearch)
+   * @returns {Object} hnswlib result { neighbors, distances }
+   */
+  _searchKnn(point, count, ef = this.efSearch) {
+    const effective = Math.max(ef, count);
+    if (effective === this.efSearch) {
+      return this.index.searchKnn(point, count);
+    }
+
+    this.index.setEf(effective);
+    try {
+      return this.index.searchKnn(point, count);
+    } finally {
+      this.index.setEf(this.efSearch);
+    }
+  }
+
+  /**
+   * Change search parameters at runtime
+   * The new values apply to later searches and are persisted by the next save().
+   * @param {Object} params - Search parameters
+   * @param {number} params.efSearch - Default ef for HNSW searches
+   * @returns {Object} The current search parameters { efSearch }
+   */
+  setSearchParams(params = {}) {
+    if (params.efSearch !== undefined) {
+      this._validateEf(params.efSearch);
+      this.efSearch = params.efSearch;
+      this.index.setEf(this.efSearch);
+      this.emit('searchParamsUpdated', { efSearch: this.efSearch });
+    }
+    return { efSearch: this.efSearch };
+  }
+
+  /**
+   * Check an ef value
+   * @private
+   * @param {number} ef - ef to check
+   */
+  _validateEf(ef) {
+    if (!Number.isInteger(ef) || ef <= 0) {
+      throw new Error(`ef must be a positive integer, got ${ef}`);
+    }
+  }
+
+  /**
+   * Nearest neighbors by a flat scan over every stored vector
+   * @private
+   * @param {Float32Array|Array} query - Prepared query vector
+   * @param {number} count - Number of neighbors
+   * @param {Object} filter - Metadata filter (optional)
+   * @returns {Array<Object>} { id, distance } pairs, nearest first
+   */
+  _exactNearest(query, count, filter) {
+    const scored = [];
+    for (const [id, entry] of this.memoryStore) {
+      if (filter && !matchesFilter(entry.metadata, filter)) continue;
+      scored.push({ id, distance: vectorDistance(query, this._exactVector(entry), this.metric) });
+    }
+    return scored.sort((a, b) => a.distance - b.distance || a.id - b.id).slice(0, count);
+  }
+
+  /**
+   * Full-precision vector of an entry: its raw copy, or the indexed point when
+   * the stored copy is quantized or absent
+   * @private
+   * @param {Object} entry - Memory store entry
+   * @returns {Float32Array|Array} The vector
+   */
+  _exactVector(entry) {
+    const stored = Object.getOwnPropertyDescriptor(entry, 'vector');
+    return 'value' in stored ? stored.value : this.index.getPoint(entry.id);
+  }
+
+  /**
+   * Measure HNSW recall against exact search
+   * Recall is the share of the exact k nearest neighbors that the HNSW search returns,
+   * averaged over the queries.
+   * @param {Object} options - Measurement options
+   * @param {Array<Float32Array|Array>} options.queries - Query vectors (default: up to 100 stored vectors)
+   * @param {number} options.k - Neighbors per query (default: 10)
+   * @param {number} options.ef - efSearch to measure (default: the current efSearch)
+   * @returns {Object} { recall, k, ef, queries, hnswMs, exactMs }
+   */
+  measureRecall(options = {}) {
+    const { k = 10, ef = this.efSearch } = options;
+    this._validateEf(ef);
+    const points = this._recallQueries(options.queries);
+
+    const start = process.hrtime.bigint();
+    const truth = this._exactNeighbors(points, k);
+    const exactMs = Number(process.hrtime.bigint() - start) / 1_000_000;
+    const { recall, durationMs } = this._recallAt(points, truth, k, ef);
+
+    return { recall, k, ef, queries: points.length, hnswMs: durationMs, exactMs };
+  }
+
+  /**
+   * Set efSearch to the smallest value whose measured recall reaches a target
+   * ef is doubled from k until the target is met, then narrowed down by bisection.
+   * @param {Object} options - Tuning options
+   * @param {number} options.targetRecall - Recall to reach, in (0, 1] (default: 0.95)
+   * @param {Array<Float32Array|Array>} options.queries - Query vectors (default: up to 100 stored vectors)
+   * @param {number} options.k - Neighbors per query (default: 10)
+   * @param {number} options.maxEf - Largest efSearch tried (default: the number of stored vectors)
+   * @returns {Object} { efSearch, recall, targetRecall, met }
+   */
+  tuneEfSearch(options = {}) {
+    const { targetRecall = 0.95, k = 10 } = options;
+    if (!(targetRecall > 0 && targetRecall <= 1)) {
+      throw new Error(`targetRecall must be in (0, 1], got ${targetRecall}`);
+    }
+
+    const points = this._recallQueries(options.queries);
+    const truth = this._exactNeighbors(points, k);
+    const maxEf = Math.max(k, options.maxEf ?? this.memoryStore.size);
+    const measure = ef => this._recallAt(points, truth, k, ef).recall;
+
+    // hnswlib searches with max(ef, k), so k is the smallest distinct setting
+    let low = k - 1;
+    let high = k;
+    let recall = measure(high);
+    while (recall < targetRecall && high < maxEf) {
+      low = high;
+      high = Math.min(high * 2, maxEf);
+      recall = measure(high);
+    }
+
+    const met = recall >= targetRecall;
+    while (met && high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      const midRecall = measure(mid);
+      if (midRecall >= targetRecall) {
+        high = mid;
+        recall = midRecall;
+      } else {
+        low = mid;
+      }
+    }
+
+    this.setSearchParams({ efSearch: high });
+    const tuned = { efSearch: high, recall, targetRecall, met };
+    this.emit('efSearchTuned', tuned);
+    return tuned;
+  }
+
+  /**
+   * Validated query vectors for recall measurement
+   * @private
+   * @param {Array<Float32Array|Array>} queries - Query vectors, or undefined to sample stored vectors
+   * @returns {Array<Float32Array|Array>} Prepared query vectors
+   */
+  _recallQueries(queries) {
+    this._expireDue();
+    if (this.memoryStore.size === 0) {
+      throw new Error('Cannot measure recall on an empty database');
+    }
+
+    if (!queries) {
+      // Evenly spaced stored vectors, so repeated measurements use the same queries
+      const entries = Array.from(this.memoryStore.values());
+      const count = Math.min(100, entries.length);
+      return Array.from({ length: count }, (_, idx) => this._exactVector(entries[Math.floor(idx * entries.length / count)]));
+    }
+
+    return queries.map((query, idx) => {
+      const queryArray = this._prepareVector(query);
+      if (queryArray.length !== this.dimension) {
+        throw new Error(`Query ${idx}: dimension ${queryArray.length} does not match index dimension ${this.dimension}`);
+      }
+      return queryArray;
+    });
+  }
+
+  /**
+   * Exact k nearest neighbor IDs of each query
+   * @private
+   * @param {Array<Float32Array|Array>} points - Prepared query vectors
+   * @param {number} k - Neighbors per query
+   * @returns {Array<Set<number>>} One ID set per query
+   */
+  _exactNeighbors(points, k) {
+    return points.map(point => new Set(this._exactNearest(point, k).map(({ id }) => id)));
+  }
+
+  /**
+   * HNSW recall at a given ef against precomputed exact neighbors
+   * @private
+   * @param {Array<Float32Array|Array>} points - Prepared query vectors
+   * @param {Array<Set<number>>} truth - Exact neighbor IDs per query
+   * @param {number} k - Neighbors per query
+   * @param {number} ef - efSearch to measure
+   * @returns {Object} { recall, durationMs }
+   */
+  _recallAt(points, truth, k, ef) {
+    const count = Math.min(k, this.memoryStore.size);
+    const start = process.hrtime.bigint();
+    let found = 0;
+    let expected = 0;
+
+    points.forEach((point, idx) => {
+      const { neighbors } = this._searchKnn(Array.from(point), count, ef);
+      found += neighbors.filter(id => truth[idx].has(id)).length;
+      expected += truth[idx].size;
+    });
+
+    const durationMs = Number(process.hrtime.bigint() - start) / 1_000_000;
+    return { recall: expected === 0 ? 1 : found / expected, durationMs };
+  }
+
+  /**
+   * Re-rank nearest-neighbor matches by retrieval weights or time decay, if configured
+   * @private
+   * @param {Array} matches - Results ordered by similarity
+   * @param {Object} options - Search options (retrieval, decay)
+   * @returns {Array} Results, best first
+   */
+  _rank(matches, options = {}) {
+    const retrieval = options.retrieval ?? this.retrieval;
+    if (retrieval) {
+      return this._applyRetrieval(matches, retrieval);
+    }
+    const decay = options.decay ?? this.decay;
+    return decay ? this._applyDecay(matches, decay) : matches;
+  }
+
+  /**
+   * Find every neighbor inside a distance or score radius
+   * The HNSW candidate pool starts at limit (or 32) and doubles while its farthest
+   * neighbor is still inside the radius, so the number of results need not be guessed.
+   * @param {Float32Array|Array} query - Query vector
+   * @param {Object} options - Range options (at least one of maxDistance and minScore)
+   * @param {number} options.maxDistance - Largest distance to include
+   * @param {number} options.minScore - Smallest score to include
+   * @param {number} options.limit - Maximum number of results (default: unlimited)
+   * @param {Object} options.filter - Metadata filter (see search())
+   * @param {boolean} options.exact - Scan every vector instead of the HNSW graph (default: false)
+   * @param {number} options.ef - efSearch for this call (see search())
+   * @param {boolean} options.trackAccess - Count the results as accesses (default: the trackAccess option)
+   * @returns {Array} Results inside the radius, nearest first
+   */
+  searchWithin(query, options = {}) {
+    const { maxDistance, minScore, filter, limit = Infinity } = options;
+    if (maxDistance === undefined && minScore === undefined) {
+      throw new Error('searchWithin needs maxDistance or minScore');
+    }
+    if (options.ef !== undefined) {
+      this._validateEf(options.ef);
+    }
+
+    const queryArray = this._prepareVector(query);
+    if (queryArray.length !== this.dimension) {
+      throw new Error(`Query dimension ${queryArray.length} does not match index dimension ${this.dimension}`);
+    }
+
+    this._expireDue();
+    const live = this.memoryStore.size;
+    if (live === 0 || limit <= 0) {
+      return [];
+    }
+
+    const radius = Math.min(maxDistance ?? Infinity, minScore === undefined ? Infinity : scoreToDistance(minScore, this.metric));
+    let neighbors;
+    if (options.exact) {
+      neighbors = this._exactNearest(queryArray, live).filter(({ distance }) => distance <= radius);
+    } else {
+      const point = Array.from(queryArray);
+      let pool = Math.min(Number.isFinite(limit) ? limit : 32, live);
+      while (true) {
+        const result = this._searchKnn(point, pool, options.ef);
+        neighbors = result.neighbors.map((id, idx) => ({ id, distance: result.distances[idx] }));
+        const farthest = neighbors.length > 0 ? neighbors[neighbors.length - 1].distance : Infinity;
+        const inside = neighbors.filter(({ distance }) => distance <= radius);
+        const found = inside.filter(({ id }) => matchesFilter(this.memoryStore.get(id)?.metadata, filter)).length;
+
+        if (farthest > radius || found >= limit || pool >= live) {
+          neighbors = inside;
+          break;
+        }
+        pool = Math.min(pool * 2, live);
+      }
+    }
+
+    const results = [];
+    for (const { id, distance } of neighbors) {
+      const entry = this.memoryStore.get(id);
+      if (!entry || !matchesFilter(entry.metadata, filter)) continue;
+      results.push({ id, distance, score: distanceToScore(distance, this.metric), ...entry });
+      if (results.length >= limit) break;
+    }
+    return (options.trackAccess ?? this.trackAccess) ? this._recordAccess(results) : results;
+  }
+
+  /**
+   * Pick the final k results from ranked candidates
+   * Applies the minScore cutoff, then selects greedily: with mmr each pick
+   * maximizes lambda * score - (1 - lambda) * (highest similarity to a result
+   * already picked); with groupBy candidates sharing a picked result's group
+   * value are skipped.
+   * @private
+   * @param {Array} ranked - Candidates, best first
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options (minScore, mmr, groupBy)
+   * @returns {Array} Selected results; with mmr each has its mmr value
+   */
+  _select(ranked, k, options) {
+    const { minScore, groupBy } = options;
+    let remaining = minScore === undefined ? ranked : ranked.filter(result => result.score >= minScore);
+    if (!options.mmr && !groupBy) {
+      return remaining.slice(0, k);
+    }
+
+    const mmr = options.mmr === true ? {} : options.mmr;
+    const lambda = mmr ? mmr.lambda ?? 0.5 : 1;
+    const maxSimilarity = mmr?.maxSimilarity ?? Infinity;
+    if (!(lambda >= 0 && lambda <= 1)) {
+      throw new Error(`mmr.lambda must be between 0 and 1, got ${lambda}`);
+    }
+
+    // Highest similarity of each candidate to the results selected so far
+    const redundancy = new Map(remaining.map(result => [result.id, 0]));
+    const vectors = mmr ? new Map(remaining.map(result => [result.id, this._exactVector(this.memoryStore.get(result.id))])) : null;
+    const selected = [];
+
+    while (selected.length < k && remaining.length > 0) {
+      let best = remaining[0];
+      let bestValue = -Infinity;
+      for (const result of remaining) {
+        const value = lambda * result.score - (1 - lambda) * redundancy.get(result.id);
+        if (value > bestValue) {
+          best = result;
+          bestValue = value;
+        }
+      }
+      selected.push(mmr ? { ...best, mmr: bestValue } : best);
+
+      const group = groupBy === undefined ? undefined : best.metadata?.[groupBy];
+      remaining = remaining.filter(result => {
+        if (result === best || (group !== undefined && result.metadata?.[groupBy] === group)) {
+          return false;
+        }
+        if (!mmr) {
+          return true;
+        }
+        const similarity = distanceToScore(vectorDistance(vectors.get(best.id), vectors.get(result.id), this.metric), this.metric);
+        redundancy.set(result.id, Math.max(redundancy.get(result.id), similarity));
+        return similarity < maxSimilarity;
+      });
+    }
+    return selected;
+  }
+
+  /**
+   * Rank results by a weighted mix of similarity, recency and importance
+   * (as in generative agents). Recency decays from the last access, or the
+   * insert time for vectors never retrieved.
+   * @private
+   * @param {Array} results - Search results with score
+   * @param {Object} retrieval - { similarity, recency, importance, halfLife }
+   * @returns {Array} Results with the three components and their weighted score, best first
+   */
+  _applyRetrieval(results, retrieval) {
+    const { similarity = 1, recency = 1, importance = 1, halfLife = 24 * 60 * 60 * 1000 } = retrieval;
+    const total = similarity + recency + importance;
+    if (!(total > 0) || !(halfLife > 0)) {
+      throw new Error('retrieval needs a positive weight and a positive halfLife');
+    }
+
+    const now = Date.now();
+    return results
+      .map(result => {
+        const components = {
+          similarity: result.score,
+          recency: Math.pow(0.5, Math.max(0, now - (result.lastAccessed ?? result.timestamp)) / halfLife),
+          importance: this._importance(result)
+        };
+        return {
+          ...result,
+          ...components,
+          score: (similarity * components.similarity + recency * components.recency +
+            importance * components.importance) / total
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Blend each result's similarity with the recency of its timestamp
+   * recency = 0.5 ^ (age / halfLife); score = (1 - weight) * similarity + weight * recency
+   * @private
+   * @param {Array} results - Search results with score
+   * @param {Object} decay - { halfLife, weight }
+   * @returns {Array} Results with similarity, recency and the blended score, best first
+   */
+  _applyDecay(results, decay) {
+    const { halfLife, weight = 0.5 } = decay;
+    if (!(halfLife > 0)) {
+      throw new Error('decay.halfLife must be a positive number of milliseconds');
+    }
+
+    const now = Date.now();
+    return results
+      .map(result => {
+        const recency = Math.pow(0.5, Math.max(0, now - result.timestamp) / halfLife);
+        return {
+          ...result,
+          similarity: result.score,
+          recency,
+          score: (1 - weight) * result.score + weight * recency
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Search for the nearest neighbors of many queries
+   * With options.workers > 1 the HNSW queries are split across worker threads.
+   * The workers stay running and keep their own copy of the index, loaded on first
+   * use and again after the index changes; results are filtered, ranked and
+   * counted as accesses on the calling thread exactly as search() does.
+   * @param {Array<Float32Array|Array>} queries - Query vectors
+   * @param {number} k - Number of results per query
+   * @param {Object} options - Search options (see search())
+   * @param {number} options.workers - Number of worker threads (default: 1, no workers)
+   * @param {boolean} options.exact - Flat-scan search (see search()); runs on the calling thread
+   * @returns {Promise<Array<Array>>} One result list per query, in input order
+   */
+  async searchBatch(queries, k = 5, options = {}) {
+    const { exact, ef, workers = 1 } = options;
+    if (ef !== undefined) {
+      this._validateEf(ef);
+    }
+    const start = process.hrtime.bigint();
+    this._expireDue();
+
+    const points = queries.map((query, idx) => {
+      const queryArray = this._prepareVector(query);
+      if (queryArray.length !== this.dimension) {
+        throw new Error(`Query ${idx}: dimension ${queryArray.length} does not match index dimension ${this.dimension}`);
+      }
+      return queryArray;
+    });
+
+    let results;
+    if (workers > 1 && points.length > 1 && this.memoryStore.size > 0 && k > 0 && !exact) {
+      results = await this._searchInWorkers(points, k, Math.min(workers, points.length), options);
+    } else {
+      results = points.map(point => this.search(point, k, options));
+    }
+
+    const durationMs = Number(process.hrtime.bigint() - start) / 1_000_000;
+    this.emit('batchSearched', { count: points.length, k, workers: Math.max(1, workers), durationMs });
+    return results;
+  }
+
+  /**
+   * Run kNN queries on the search worker pool
+   * Like search(), a query whose candidates do not pass the filter is asked
+   * again with a doubled pool until enough do or the whole index is covered.
+   * @private
+   * @param {Array<Float32Array>} points - Validated query vectors
+   * @param {number} k - Number of results per query
+   * @param {number} workers - Number of worker threads
+   * @param {Object} options - Search options (see search())
+   * @returns {Promise<Array<Array>>} One result list per query
+   */
+  async _searchInWorkers(points, k, workers, options) {
+    this._searchPool ??= new SearchWorkerPool();
+    const pool = this._searchPool;
+    pool.grow(workers);
+    await pool.sync(this);
+
+    const live = this.memoryStore.size;
+    const wanted = this._candidateCount(k, options);
+    const counts = points.map(() => Math.min(wanted, live));
+    const matches = [];
+    let pending = points.map((_, idx) => idx);
+
+    while (pending.length > 0) {
+      const queries = pending.map(idx => Array.from(points[idx]));
+      const batch = await pool.search(queries, pending.map(idx => counts[idx]), options.ef ?? this.efSearch,
+        Math.min(workers, pending.length));
+      pending = pending.filter((idx, position) => {
+        matches[idx] = this._matches(batch[position], options.filter);
+        if (matches[idx].length >= wanted || counts[idx] >= live) return false;
+        counts[idx] = Math.min(counts[idx] * 2, live);
+        return true;
+      });
+    }
+
+    return matches.map(candidates => this._finishSearch(candidates, k, options));
+  }
+
+  /**
+   * Embed text with the configured embedder
+   * @param {string} text - Text to embed
+   * @returns {Promise<Float32Array>} The embedding vector
+   */
+  async embed(text) {
+    const vector = await this.embedder.embed(text);
+    if (vector.length !== this.dimension) {
+      throw new Error(`Embedder returned dimension ${vector.length}, expected ${this.dimension}`);
+    }
+    return vector instanceof Float32Array ? vector : new Float32Array(vector);
+  }
+
+  /**
+   * Embed text and store it; the text is kept in metadata.text
+   * @param {string} text - Text to remember
+   * @param {Object} metadata - Associated metadata
+   * @returns {Promise<number>} The ID of the added vector
+   */
+  async addText(text, metadata = {}) {
+    const vector = await this.embed(text);
+    return this.addVector(vector, { text, ...metadata });
+  }
+
+  /**
+   * Embed a query and search for nearest neighbors
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options (see search())
+   * @returns {Promise<Array>} Array of results with id, distance, and metadata
+   */
+  async searchText(query, k = 5, options = {}) {
+    const vector = await this.embed(query);
+    return this.search(vector, k, options);
+  }
+
+  /**
+   * Full-text search over the metadata text field, ranked by BM25
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter (see search())
+   * @returns {Array} Results with id, score and the stored entry
+   */
+  keywordSearch(query, k = 5, options = {}) {
+    const { filter } = options;
+    const predicate = filter ? id => matchesFilter(this.memoryStore.get(id)?.metadata, filter) : undefined;
+    this._expireDue();
+
+    const results = this.textIndex.search(query, { k, predicate }).map(({ id, score }) => ({
+      id,
+      score,
+      ...this.memoryStore.get(id)
+    }));
+    return (options.trackAccess ?? this.trackAccess) ? this._recordAccess(results) : results;
+  }
+
+  /**
+   * Combine keyword (BM25) and vector search
+   * @param {string|Float32Array|Array} query - Query text (used for both keyword search and,
+   *   via the embedder, vector search) or a query vector
+   * @param {Object} options - Search options
+   * @param {string} options.text - Keyword query (defaults to query when it is text)
+   * @param {Float32Array|Array} options.vector - Query vector (defaults to the embedded query)
+   * @param {number} options.k - Number of results (default: 5)
+   * @param {number} options.alpha - Weight of the vector side, 0..1 (default: 0.5)
+   * @param {string} options.fusion - 'rrf' (reciprocal-rank fusion) or 'weighted' (default: 'rrf')
+   * @param {number} options.rrfK - RRF rank constant (default: 60)
+   * @param {number} options.candidates - Candidates fetched from each side (default: max(4k, 20))
+   * @param {Object} options.filter - Metadata filter (see search())
+   * @param {number} options.ef - efSearch for the vector side (see search())
+   * @returns {Promise<Array>} Results with a fused score and a per-side score breakdown
+   */
+  async hybridSearch(query, options = {}) {
+    const {
+      k = 5,
+      alpha = 0.5,
+      fusion = 'rrf',
+      rrfK = 60,
+      filter,
+      ef
+    } = options;
+    const candidates = options.candidates || Math.max(k * 4, 20);
+    const isText = typeof query === 'string';
+
+    if (fusion !== 'rrf' && fusion !== 'weighted') {
+      throw new Error(`Unknown fusion method: ${fusion}`);
+    }
+
+    const text = options.text ?? (isText ? query : undefined);
+    let vector = options.vector;
+    if (!vector && query !== undefined) {
+      vector = isText ? await this.embed(query) : query;
+    }
+    if (!text && !vector) {
+      throw new Error('hybridSearch needs query text or a query vector');
+    }
+
+    // Only the fused results count as accesses
+    const vectorHits = vector ? this.search(vector, candidates, { filter, ef, trackAccess: false }) : [];
+    const textHits = text ? this.keywordSearch(text, candidates, { filter, trackAccess: false }) : [];
+    const maxText = textHits.length > 0 ? textHits[0].score : 0;
+
+    const merged = new Map();
+    const entryFor = id => {
+      if (!merged.has(id)) {
+        merged.set(id, {
+          id,
+          scores: { vector: null, vectorRank: null, text: null, textRank: null }
+        });
+      }
+      return merged.get(id);
+    };
+
+    vectorHits.forEach((hit, rank) => {
+      const result = entryFor(hit.id);
+      result.distance = hit.distance;
+      result.scores.vector = hit.score;
+      result.scores.vectorRank = rank + 1;
+    });
+    textHits.forEach((hit, rank) => {
+      const result = entryFor(hit.id);
+      result.scores.text = hit.score;
+      result.scores.textRank = rank + 1;
+    });
+
+    const results = [];
+    for (const result of merged.values()) {
+      const { scores } = result;
+      if (fusion === 'rrf') {
+        result.score = (scores.vectorRank ? alpha / (rrfK + scores.vectorRank) : 0) +
+          (scores.textRank ? (1 - alpha) / (rrfK + scores.textRank) : 0);
+      } else {
+        const vectorScore = scores.vector === null ? 0 : Math.max(0, Math.min(1, scores.vector));
+        const textScore = scores.text === null || maxText === 0 ? 0 : scores.text / maxText;
+        result.score = alpha * vectorScore + (1 - alpha) * textScore;
+      }
+      results.push({ ...this.memoryStore.get(result.id), ...result });
+    }
+
+    const ranked = results.sort((a, b) => b.score - a.score).slice(0, k);
+    return (options.trackAccess ?? this.trackAccess) ? this._recordAccess(ranked) : ranked;
+  }
+
+  /**
+   * Add reasoning to the ReasoningBank
+   * @param {string} context - The context or query
+   * @param {string} reasoning - The reasoning process
+   * @param {Object} metadata - Additional metadata
+   * @returns {string} The ID of the reasoning entry
+   */
+  addReasoning(context, reasoning, metadata = {}) {
+    return this._addReasoning(this._reasoningId(), context, reasoning, metadata);
+  }
+
+  /**
+   * Generate a ReasoningBank ID
+   * @private
+   * @returns {string} New reasoning ID
+   */
+  _reasoningId() {
+    return `reasoning_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Store, log and announce a reasoning entry under a given ID
+   * @private
+   * @param {string} id - Reasoning ID
+   * @param {string} context - The context or query
+   * @param {string} reasoning - The reasoning process
+   * @param {Object} metadata - Additional metadata
+   * @returns {string} The ID of the reasoning entry
+   */
+  _addReasoning(id, context, reasoning, metadata) {
+    const timestamp = Date.now();
+    const entry = {
+      context,
+      reasoning,
+      metadata,
+      timestamp
+    };
+    this.reasoningBank.set(id, entry);
+    this.reasoningTextIndex.add(id, reasoningText(entry));
+    this._committing?.journal.push({ reasoning: id });
+    this._indexReasoning(id, entry);
+    this._logMutation('addReasoning', { id, context, reasoning, metadata, timestamp });
+
+    this.emit('reasoningAdded', { id, context });
+    this._maybeCheckpoint();
+    return id;
+  }
+
+  /**
+   * Queue a reasoning entry to be embedded in the background and added to the reasoning index
+   * @private
+   * @param {string} id - Reasoning ID
+   * @param {Object} entry - Reasoning entry
+   */
+  _indexReasoning(id, entry) {
+    this._reasoningQueue.push([id, entry]);
+    this._drainReasoning();
+  }
+
+  /**
+   * Start embedding queued reasoning entries, at most embedConcurrency at a time
+   * @private
+   */
+  _drainReasoning() {
+    while (this._pendingReasoning.size < this.embedConcurrency && this._reasoningQueue.length > 0) {
+      const [id, entry] = this._reasoningQueue.shift();
+      // Skip entries removed (e.g. by clear()) while they were queued or being embedded
+      if (this.reasoningBank.get(id) !== entry) continue;
+
+      const task = this.embed(reasoningText(entry))
+        .then(vector => {
+          if (this.reasoningBank.get(id) === entry) {
+            this.reasoningIndex.add(id, vector);
+          }
+        })
+        .catch(error => {
+          this._reasoningFailed.set(id, error);
+          this.emit('reasoningIndexFailed', { id, error });
+        })
+        .finally(() => {
+          this._pendingReasoning.delete(task);
+          this._drainReasoning();
+        });
+      this._pendingReasoning.add(task);
+    }
+  }
 
-    this.emit('initialized', { dimension: this.dimension, maxElements: this.maxElements });
+  /**
+   * Rebuild the reasoning and keyword indexes from the ReasoningBank
+   * Entries with a saved embedding are indexed directly; only the rest are embedded.
+   * @private
+   * @param {Map<string, Float32Array>} embeddings - Saved embeddings by reasoning ID (optional)
+   */
+  _reindexReasoning(embeddings = new Map()) {
+    this.reasoningIndex.clear();
+    this.reasoningTextIndex.clear();
+    this._reasoningQueue = [];
+    this._reasoningFailed.clear();
+    for (const [id, entry] of this.reasoningBank.entries()) {
+      this.reasoningTextIndex.add(id, reasoningText(entry));
+      const vector = embeddings.get(id);
+      if (vector) {
+        this.reasoningIndex.add(id, vector);
+      } else {
+        this._indexReasoning(id, entry);
+      }
+    }
   }
 
   /**
-   * Add a vector with metadata to the database
-   * @param {Float32Array|Array} vector - The embedding vector
-   * @param {Object} metadata - Associated metadata
-   * @returns {number} The ID of the added vector
+   * Embeddings of the indexed ReasoningBank entries, for save()
+   * @private
+   * @returns {Object} { ids, vectors } with the Float32 embeddings in the order of ids
    */
-  addVector(vector, metadata = {}) {
-    const id = this.currentId++;
-    const vectorArray = vector instanceof Float32Array ? vector : new Float32Array(vector);
+  _reasoningEmbeddings() {
+    const ids = Array.from(this.reasoningBank.keys()).filter(id => this.reasoningIndex.has(id));
+    const vectors = new Float32Array(ids.length * this.dimension);
+    ids.forEach((id, idx) => vectors.set(this.reasoningIndex.vectorOf(id), idx * this.dimension));
+    return { ids, vectors };
+  }
 
-    if (vectorArray.length !== this.dimension) {
-      throw new Error(`Vector dimension ${vectorArray.length} does not match index dimension ${this.dimension}`);
+  /**
+   * Embeddings saved with a snapshot, if they came from the current embedder
+   * @private
+   * @param {Object} saved - store.reasoningEmbeddings: { embedder, ids }
+   * @param {Buffer} buffer - Raw Float32 embeddings
+   * @returns {Map<string, Float32Array>} Embeddings by reasoning ID
+   */
+  _savedEmbeddings(saved, buffer) {
+    const embeddings = new Map();
+    if (!saved || !buffer || saved.embedder !== this._embedderId() ||
+        buffer.length !== saved.ids.length * this.dimension * Float32Array.BYTES_PER_ELEMENT) {
+      return embeddings;
     }
 
-    // Convert to regular array for hnswlib-node
-    this.index.addPoint(Array.from(vectorArray), id);
-    this.memoryStore.set(id, {
-      vector: vectorArray,
-      metadata,
-      timestamp: Date.now(),
-      id
+    const data = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    saved.ids.forEach((id, idx) => {
+      embeddings.set(id, data.subarray(idx * this.dimension, (idx + 1) * this.dimension));
     });
+    return embeddings;
+  }
 
-    this.emit('vectorAdded', { id, metadata });
-    return id;
+  /**
+   * Identify the embedder, so saved embeddings are only reused with the one that made them
+   * @private
+   * @returns {string} Embedder class, model, endpoint and dimension
+   */
+  _embedderId() {
+    const { constructor, model, baseUrl } = this.embedder;
+    return [constructor?.name, model, baseUrl, this.dimension].filter(part => part !== undefined).join(':');
   }
 
   /**
-   * Search for nearest neighbors
-   * @param {Float32Array|Array} query - Query vector
-   * @param {number} k - Number of results
-   * @returns {Array} Array of results with id, distance, and metadata
+   * Wait until every ReasoningBank entry has been embedded and indexed
+   * Entries whose embedding failed earlier are tried again first.
+   * @returns {Promise<void>} Resolves when indexing is done; rejects if an embedding still fails
    */
-  search(query, k = 5) {
-    const queryArray = query instanceof Float32Array ? query : new Float32Array(query);
+  async flushReasoning() {
+    await this._settleReasoning();
 
-    if (queryArray.length !== this.dimension) {
-      throw new Error(`Query dimension ${queryArray.length} does not match index dimension ${this.dimension}`);
+    if (this._reasoningFailed.size > 0) {
+      const [[id, error]] = this._reasoningFailed;
+      throw new Error(`Failed to embed ${this._reasoningFailed.size} reasoning entries (${id}: ${error.message}); ` +
+        'they are retried on the next search or flush');
     }
-
-    // Convert to regular array for hnswlib-node
-    const result = this.index.searchKnn(Array.from(queryArray), k);
-
-    return result.neighbors.map((id, idx) => ({
-      id,
-      distance: result.distances[idx],
-      ...this.memoryStore.get(id)
-    }));
   }
 
   /**
-   * Add reasoning to the ReasoningBank
-   * @param {string} context - The context or query
-   * @param {string} reasoning - The reasoning process
-   * @param {Object} metadata - Additional metadata
+   * Retry failed reasoning embeddings and wait for all queued ones
+   * Failures are kept for the next retry rather than thrown.
+   * @private
+   * @returns {Promise<void>} Resolves when no embedding is running
    */
-  addReasoning(context, reasoning, metadata = {}) {
-    const id = `reasoning_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    this.reasoningBank.set(id, {
-      context,
-      reasoning,
-      metadata,
-      timestamp: Date.now()
-    });
+  async _settleReasoning() {
+    const failed = Array.from(this._reasoningFailed.keys());
+    this._reasoningFailed.clear();
+    for (const id of failed) {
+      if (this.reasoningBank.has(id)) {
+        this._indexReasoning(id, this.reasoningBank.get(id));
+      }
+    }
 
-    this.emit('reasoningAdded', { id, context });
-    return id;
+    while (this._pendingReasoning.size > 0) {
+      await Promise.all(this._pendingReasoning);
+    }
   }
 
   /**
@@ -112,61 +2354,289 @@ export class AgentDB extends EventEmitter {
   }
 
   /**
-   * Search reasoning bank by context
-   * @param {string} searchTerm - Term to search for
-   * @returns {Array} Matching reasoning entries
+   * Search the reasoning bank by meaning
+   * Relevance is a blend of embedding similarity and keyword overlap with the
+   * query, so paraphrased questions and exact keywords both match. The final
+   * score also rewards entries whose recorded outcomes were successful.
+   * @param {string} query - Question or search term
+   * @param {Object} options - Search options
+   * @param {number} options.k - Maximum number of results (default: 10)
+   * @param {Object} options.filter - Metadata filter, e.g. { domain: 'database', tags: { $in: ['sql'] } }
+   * @param {number} options.keywordWeight - Weight of the keyword score; similarity gets the rest (default: 0.5)
+   * @param {number} options.successWeight - Weight of past success in the final score (default: 0.3)
+   * @param {number} options.minScore - Drop results whose relevance is below this (default: 0.1)
+   * @returns {Promise<Array>} Matching entries with score, relevance, similarity, keywordScore and successScore
    */
-  searchReasoning(searchTerm) {
-    const results = [];
-    for (const [id, entry] of this.reasoningBank.entries()) {
-      if (entry.context.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          entry.reasoning.toLowerCase().includes(searchTerm.toLowerCase())) {
-        results.push({ id, ...entry });
+  async searchReasoning(query, options = {}) {
+    const { k = 10, filter, keywordWeight = 0.5, successWeight = 0.3, minScore = 0.1 } = options;
+    // An entry that still cannot be embedded is matched by keywords only
+    await this._settleReasoning();
+
+    const queryVector = await this.embed(query);
+    const similarities = new Map();
+    const live = this.reasoningIndex.size;
+    let pool = Math.min(Math.max(k * 4, 50), live);
+
+    // Widen the semantic candidate pool until enough entries pass the filter
+    while (pool > 0) {
+      similarities.clear();
+      let passing = 0;
+      for (const { id, similarity } of this.reasoningIndex.search(queryVector, pool)) {
+        similarities.set(id, similarity);
+        if (matchesFilter(this.reasoningBank.get(id)?.metadata, filter)) passing++;
       }
+      if (passing >= k || pool >= live) break;
+      pool = Math.min(pool * 2, live);
     }
-    return results;
+
+    // Only semantic neighbors and entries sharing a query term can score above zero
+    const candidates = new Set(similarities.keys());
+    for (const { id } of this.reasoningTextIndex.search(query)) {
+      candidates.add(id);
+    }
+
+    const results = [];
+    for (const id of candidates) {
+      const entry = this.reasoningBank.get(id);
+      if (!entry || !matchesFilter(entry.metadata, filter)) continue;
+
+      const keyword = keywordScore(query, reasoningText(entry));
+      const similarity = similarities.get(id);
+
+      const relevance = (1 - keywordWeight) * (similarity ?? 0) + keywordWeight * keyword;
+      if (relevance < minScore) continue;
+
+      const successScore = this._successScore(entry);
+      results.push({
+        id,
+        ...entry,
+        score: (1 - successWeight) * relevance + successWeight * successScore,
+        relevance,
+        similarity: similarity ?? 0,
+        keywordScore: keyword,
+        successScore
+      });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Record how applying a reasoning entry turned out
+   * @param {string} id - Reasoning ID
+   * @param {Object} outcome - The outcome
+   * @param {boolean} outcome.success - Whether the reasoning worked (defaults to reward > 0)
+   * @param {number} outcome.reward - Numeric reward, e.g. profit or a 0..1 rating (default: 0)
+   * @param {string} outcome.notes - Free-form notes
+   * @returns {Object|null} Updated usage statistics, or null if the entry does not exist
+   */
+  recordOutcome(id, outcome = {}) {
+    const entry = this.reasoningBank.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const reward = outcome.reward ?? 0;
+    const recorded = {
+      success: outcome.success ?? reward > 0,
+      reward,
+      notes: outcome.notes,
+      timestamp: outcome.timestamp ?? Date.now()
+    };
+    this._applyOutcome(entry, recorded);
+    this._logMutation('recordOutcome', { id, outcome: recorded });
+
+    this.emit('outcomeRecorded', { id, outcome: recorded, usage: entry.usage });
+    this._maybeCheckpoint();
+    return entry.usage;
+  }
+
+  /**
+   * Add an outcome to a reasoning entry and refresh its usage statistics
+   * @private
+   * @param {Object} entry - Reasoning entry
+   * @param {Object} outcome - Outcome with success, reward, notes and timestamp
+   */
+  _applyOutcome(entry, outcome) {
+    entry.outcomes = [...(entry.outcomes || []), outcome].slice(-this.maxOutcomes);
+
+    const usage = entry.usage || { uses: 0, successes: 0, failures: 0, totalReward: 0 };
+    usage.uses++;
+    usage.successes += outcome.success ? 1 : 0;
+    usage.failures += outcome.success ? 0 : 1;
+    usage.totalReward += outcome.reward;
+    usage.successRate = usage.successes / usage.uses;
+    usage.averageReward = usage.totalReward / usage.uses;
+    usage.lastUsed = outcome.timestamp;
+    entry.usage = usage;
+  }
+
+  /**
+   * Smoothed success estimate for ranking; untried entries score 0.5
+   * @private
+   * @param {Object} entry - Reasoning entry
+   * @returns {number} Success score in (0, 1)
+   */
+  _successScore(entry) {
+    const { successes = 0, uses = 0 } = entry.usage || {};
+    return (successes + 1) / (uses + 2);
   }
 
   /**
    * Get database statistics
+   * @param {Object} options - Stats options
+   * @param {boolean} options.bytes - Include the memory estimate in bytes, which visits every entry (default: false)
    * @returns {Object} Database statistics
    */
-  getStats() {
+  getStats(options = {}) {
     return {
       totalVectors: this.memoryStore.size,
+      keys: this.keyIndex.size,
       totalReasoning: this.reasoningBank.size,
+      deletedVectors: this.deletedIds.size,
+      textIndexed: this.textIndex.size,
+      tombstoneRatio: this.getTombstoneRatio(),
       dimension: this.dimension,
+      metric: this.metric,
+      vectorStorage: this.vectorStorage,
       maxElements: this.maxElements,
+      capacity: this.index.getMaxElements(),
+      ...(options.bytes && { bytes: this._byteUsage() }),
+      collections: Object.fromEntries(Array.from(this.collections.entries()).map(([name, collection]) => {
+        const { memoryUsage, ...stats } = collection.getStats(options);
+        return [name, stats];
+      })),
       memoryUsage: process.memoryUsage()
     };
   }
 
+  /**
+   * Estimated bytes held by vectors, the HNSW graph and metadata
+   * Index sizes follow hnswlib's layout: every allocated slot holds a float32
+   * vector and level-0 links, and upper levels add links for ~1/M of the points.
+   * @private
+   * @returns {Object} { vectors, indexVectors, storedVectors, graph, metadata }
+   */
+  _byteUsage() {
+    const capacity = this.index.getMaxElements();
+    const indexed = this.index.getCurrentCount();
+    const indexVectors = capacity * this.dimension * Float32Array.BYTES_PER_ELEMENT;
+    const level0Links = capacity * (this.m * 2 * 4 + 4);
+    const slotOverhead = capacity * (8 + 8 + 4); // label, upper-level pointer, lock
+    const upperLinks = this.m > 1 ? indexed * (this.m * 4 + 4) / (this.m - 1) : 0;
+
+    let storedVectors = this.quantizer?.codebookBytes ?? 0;
+    let metadata = 0;
+    for (const entry of this.memoryStore.values()) {
+      const raw = Object.getOwnPropertyDescriptor(entry, 'vector');
+      if (raw && 'value' in raw) {
+        storedVectors += raw.value.byteLength;
+      } else if (entry.codes) {
+        storedVectors += entry.codes.byteLength;
+      }
+      metadata += Buffer.byteLength(JSON.stringify(entry.metadata));
+    }
+
+    return {
+      vectors: indexVectors + storedVectors,
+      indexVectors,
+      storedVectors,
+      graph: Math.round(level0Links + slotOverhead + upperLinks),
+      metadata
+    };
+  }
+
   /**
    * Clear all data
    */
   clear() {
-    this.index = new HierarchicalNSW('cosine', this.dimension);
-    this.index.initIndex(this.maxElements, this.m, this.efConstruction);
-    this.index.setEf(this.efSearch);
+    this.index = this._createIndex();
+    this._nextExpiry = Infinity;
     this.memoryStore.clear();
+    this.keyIndex.clear();
+    this.textIndex.clear();
+    this.deletedIds.clear();
     this.reasoningBank.clear();
+    this.reasoningTextIndex.clear();
+    this.reasoningIndex.clear();
+    this._reasoningQueue = [];
+    this._reasoningFailed.clear();
     this.currentId = 0;
+    this._logMutation('clear');
     this.emit('cleared');
   }
 
   /**
    * Delete a vector by ID
+   * The point is marked deleted in the HNSW index so it never appears in
+   * search results; its slot is reclaimed by compact()
    * @param {number} id - Vector ID to delete
    */
   deleteVector(id) {
     if (this.memoryStore.has(id)) {
-      this.memoryStore.delete(id);
+      this._journal(id);
+      this._discard(id);
+      this._logMutation('deleteVector', { id });
       this.emit('vectorDeleted', { id });
+      this._maybeCheckpoint();
       return true;
     }
     return false;
   }
 
+  /**
+   * Remove a vector from the index and memory store without logging it
+   * @private
+   * @param {number} id - Vector ID
+   */
+  _discard(id) {
+    const entry = this.memoryStore.get(id);
+    if (!entry) return;
+
+    this.index.markDelete(id);
+    this._indexChanges++;
+    this.deletedIds.add(id);
+    this.memoryStore.delete(id);
+    if (entry.key !== undefined && this.keyIndex.get(entry.key) === id) {
+      this.keyIndex.delete(entry.key);
+    }
+    this.textIndex.remove(id);
+  }
+
+  /**
+   * Fraction of points in the HNSW index that are deleted tombstones
+   * @returns {number} Tombstone ratio in [0, 1]
+   */
+  getTombstoneRatio() {
+    const indexed = this.index.getCurrentCount();
+    return indexed === 0 ? 0 : this.deletedIds.size / indexed;
+  }
+
+  /**
+   * Rebuild the HNSW index without deleted points
+   * Does nothing unless the tombstone ratio has reached compactionThreshold
+   * @param {Object} options - Compaction options
+   * @param {boolean} options.force - Rebuild regardless of the threshold
+   * @returns {boolean} Whether the index was rebuilt
+   */
+  compact(options = {}) {
+    const removed = this.deletedIds.size;
+    if (removed === 0 || (!options.force && this.getTombstoneRatio() < this.compactionThreshold)) {
+      return false;
+    }
+
+    // Rebuild from the indexed points, which are exact whatever the vectorStorage
+    const previous = this.index;
+    this.index = this._createIndex();
+    for (const id of this.memoryStore.keys()) {
+      this.index.addPoint(previous.getPoint(id), id);
+    }
+    this.deletedIds.clear();
+
+    this.emit('compacted', { removed, vectors: this.memoryStore.size });
+    return true;
+  }
+
   /**
    * Update metadata for a vector
    * @param {number} id - Vector ID
@@ -175,66 +2645,525 @@ export class AgentDB extends EventEmitter {
   updateMetadata(id, metadata) {
     const entry = this.memoryStore.get(id);
     if (entry) {
+      this._journal(id);
       entry.metadata = { ...entry.metadata, ...metadata };
       this.memoryStore.set(id, entry);
+      this._indexText(id, entry.metadata);
+      this._logMutation('updateMetadata', { id, metadata });
       this.emit('metadataUpdated', { id, metadata });
+      this._maybeCheckpoint();
       return true;
     }
     return false;
   }
 
+  /**
+   * Replace the vector of an entry in place
+   * The point is updated in the HNSW index under the same ID; metadata and the
+   * original timestamp are kept and updatedAt is set.
+   * @param {number} id - Vector ID
+   * @param {Float32Array|Array} vector - New embedding vector
+   * @returns {boolean} True if the vector exists and was updated
+   */
+  updateVector(id, vector) {
+    const entry = this.memoryStore.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    const vectorArray = this._prepareVector(vector);
+    if (vectorArray.length !== this.dimension) {
+      throw new Error(`Vector dimension ${vectorArray.length} does not match index dimension ${this.dimension}`);
+    }
+
+    const updatedAt = Date.now();
+    this._updateEntry(id, vectorArray, undefined, { updatedAt });
+    this._logMutation('updateVector', { id, vector: Array.from(vectorArray), updatedAt });
+    this.emit('vectorUpdated', { id, key: entry.key, metadata: entry.metadata });
+    this._maybeCheckpoint();
+    return true;
+  }
+
+  /**
+   * Run several mutations as one atomic unit
+   * The callback stages operations on a Transaction (addVector, addVectors, upsert,
+   * updateVector, updateMetadata, deleteVector, deleteByKey, addReasoning). When it
+   * resolves, every operation is validated against the current state and then all
+   * are applied, logged as a single write-ahead log record, and their events emitted.
+   * Room for the inserts is made only after validation, and eviction skips the vectors
+   * the operations update or delete; if that is not enough the commit is rejected.
+   * If the callback, validation or applying throws, the database is left as it was
+   * and the error is rethrown.
+   * @param {Function} fn - async (tx) => result
+   * @returns {Promise<*>} The callback's result
+   */
+  async transaction(fn) {
+    const tx = new Transaction(this);
+    let result;
+    try {
+      result = await fn(tx);
+      tx.validate();
+    } catch (error) {
+      this._rollBack(tx, error);
+    }
+
+    // Applied synchronously, so nothing interleaves with the commit. Every change
+    // is journaled, so a failure part-way through is undone before rethrowing.
+    this._committing = { log: [], events: [], journal: [] };
+    try {
+      // Eviction must not remove vectors the operations refer to
+      const additions = tx.operations.filter(operation => operation.op === 'addVector').length;
+      this._ensureCapacity(additions, tx.referencedIds());
+      tx.apply();
+    } catch (error) {
+      this._undo(this._committing.journal);
+      this._committing = null;
+      this._rollBack(tx, error);
+    }
+    const committed = this._committing;
+    this._committing = null;
+    tx.state = 'committed';
+
+    if (committed.log.length > 0) {
+      this._logMutation('transaction', { ops: committed.log });
+    }
+    committed.events.forEach(([event, args]) => this.emit(event, ...args));
+    this.emit('committed', { operations: tx.operations.length });
+    this._maybeCheckpoint();
+    return result;
+  }
+
+  /**
+   * Abandon a transaction and rethrow the error that ended it
+   * @private
+   * @param {Transaction} tx - The transaction
+   * @param {Error} error - Error thrown while staging, validating or applying
+   */
+  _rollBack(tx, error) {
+    tx.state = 'rolledBack';
+    this.emit('rolledBack', { operations: tx.operations.length, error });
+    throw error;
+  }
+
+  /**
+   * Record the state of a vector before a committing transaction changes it
+   * @private
+   * @param {number} id - Vector ID about to be updated or deleted
+   */
+  _journal(id) {
+    if (!this._committing) return;
+    this._committing.journal.push({
+      id,
+      descriptors: Object.getOwnPropertyDescriptors(this.memoryStore.get(id)),
+      point: this.index.getPoint(id)
+    });
+  }
+
+  /**
+   * Undo the changes journaled by a failed commit, newest first
+   * @private
+   * @param {Array<Object>} journal - { added }, { reasoning } or { id, descriptors, point } changes
+   */
+  _undo(journal) {
+    for (const change of journal.reverse()) {
+      if (change.reasoning !== undefined) {
+        this.reasoningBank.delete(change.reasoning);
+        this.reasoningTextIndex.remove(change.reasoning);
+        this.reasoningIndex.remove(change.reasoning);
+      } else if (change.added !== undefined) {
+        this._discard(change.added);
+      } else {
+        this._restore(change);
+      }
+    }
+  }
+
+  /**
+   * Put back a vector as journaled
+   * @private
+   * @param {Object} change - { id, descriptors, point }
+   */
+  _restore({ id, descriptors, point }) {
+    // A point compacted out of the index (e.g. by eviction) needs a free slot again
+    const indexed = this.memoryStore.has(id) || this.deletedIds.has(id);
+    if (!indexed && this.index.getCurrentCount() >= this.maxElements) {
+      this.resize(this.maxElements + 1);
+    }
+    this.index.addPoint(Array.from(point), id);
+    this._indexChanges++;
+    this.deletedIds.delete(id);
+
+    const entry = Object.defineProperties({}, descriptors);
+    if (!('value' in descriptors.vector)) {
+      this._bindVectorGetter(entry);
+    }
+    this.memoryStore.set(id, entry);
+    if (entry.key !== undefined) {
+      this.keyIndex.set(entry.key, id);
+    }
+    this._indexText(id, entry.metadata);
+  }
+
+  /**
+   * Emit an event, or hold it back until the transaction being committed is complete
+   * @param {string} event - Event name
+   * @param {...*} args - Event arguments
+   * @returns {boolean} Whether the event has listeners
+   */
+  emit(event, ...args) {
+    if (this._committing) {
+      this._committing.events.push([event, args]);
+      return this.listenerCount(event) > 0;
+    }
+    return super.emit(event, ...args);
+  }
+
   /**
    * Export data for persistence
    * @returns {Object} Serializable data
    */
   export() {
     return {
+      version: EXPORT_VERSION,
       memoryStore: Array.from(this.memoryStore.entries()).map(([id, data]) => ({
         id,
-        vector: Array.from(data.vector),
+        vector: Array.from(this._exactVector(data)),
         metadata: data.metadata,
-        timestamp: data.timestamp
+        timestamp: data.timestamp,
+        ...entryFields(data)
       })),
       reasoningBank: Array.from(this.reasoningBank.entries()),
       currentId: this.currentId,
-      config: {
-        dimension: this.dimension,
-        maxElements: this.maxElements,
-        m: this.m,
-        efConstruction: this.efConstruction,
-        efSearch: this.efSearch
-      }
+      config: this._config(),
+      settings: this._settings(),
+      collections: Object.fromEntries(Array.from(this.collections.entries()).map(([name, collection]) => [
+        name,
+        collection.export()
+      ]))
     };
   }
 
   /**
    * Import data from export
+   * The export is validated up front, so a malformed one leaves the database untouched.
+   * Config, ids, timestamps and currentId are restored as exported.
    * @param {Object} data - Data to import
    */
   import(data) {
-    this.clear();
+    this._validateExport(data);
 
-    // Restore config
-    if (data.config) {
-      this.dimension = data.config.dimension;
-      this.maxElements = data.config.maxElements;
+    // A bulk import is checkpointed as a whole instead of logged per vector
+    this._suppressLog = true;
+    try {
+      this._importData(data);
+    } finally {
+      this._suppressLog = false;
     }
 
-    // Restore memory store and rebuild index
-    if (data.memoryStore) {
-      for (const entry of data.memoryStore) {
-        const vector = new Float32Array(entry.vector);
-        this.addVector(vector, entry.metadata);
+    // Collections in the export replace the current ones
+    if (data.collections) {
+      for (const name of this.listCollections()) {
+        this.dropCollection(name);
+      }
+      for (const [name, collectionData] of Object.entries(data.collections)) {
+        this.collection(name, { ...collectionData.settings, ...collectionData.config }).import(collectionData);
       }
     }
 
+    if (this.wal) {
+      this.save();
+    }
+    this.emit('imported', { vectors: this.memoryStore.size, reasoning: this.reasoningBank.size });
+  }
+
+  /**
+   * Replace the database contents with exported data
+   * @private
+   * @param {Object} data - Data to import
+   */
+  _importData(data) {
+    // Restore config before clearing so the index is rebuilt with it
+    if (data.config) {
+      this._applyConfig(data.config);
+    }
+
+    this.clear();
+
+    // Restore memory store under the exported ids and rebuild the index
+    let nextId = 0;
+    for (const entry of data.memoryStore || []) {
+      this._insertVector(entry.id, this._prepareVector(entry.vector), entry.metadata ?? {}, entry.timestamp ?? Date.now(), entryFields(entry));
+      nextId = Math.max(nextId, entry.id + 1);
+    }
+
     // Restore reasoning bank
     if (data.reasoningBank) {
       this.reasoningBank = new Map(data.reasoningBank);
+      this._reindexReasoning();
     }
 
-    this.currentId = data.currentId || this.currentId;
-    this.emit('imported', { vectors: this.memoryStore.size, reasoning: this.reasoningBank.size });
+    this.currentId = Math.max(data.currentId ?? 0, nextId);
+  }
+
+  /**
+   * Stream the database to a writable stream
+   * Vectors are encoded one record at a time, so memory use stays flat however
+   * large the database is. Collections are not included; stream them individually.
+   * @param {Writable} stream - Destination stream
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'jsonl' (default) or 'binary' (raw Float32 vectors)
+   * @param {Object} options.filter - Only export vectors whose metadata matches
+   * @param {boolean} options.reasoning - Include ReasoningBank entries (default: true)
+   * @param {boolean} options.end - End the stream when done (default: true)
+   * @param {number} options.progressEvery - Vectors between 'exportProgress' events (default: 1000)
+   * @returns {Promise<Object>} Number of exported vectors and reasoning entries
+   */
+  async exportTo(stream, options = {}) {
+    const { format = 'jsonl', filter, reasoning = true, end = true, progressEvery = 1000 } = options;
+    const encode = createEncoder(format);
+    const write = async (chunk) => {
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    // Select the vectors up front so the header can announce the total
+    const ids = [];
+    for (const [id, entry] of this.memoryStore.entries()) {
+      if (!filter || matchesFilter(entry.metadata, filter)) {
+        ids.push(id);
+      }
+    }
+    const reasoningEntries = reasoning ? Array.from(this.reasoningBank.entries()) : [];
+
+    await write(encode({
+      type: 'header',
+      version: STREAM_VERSION,
+      config: this._config(),
+      currentId: this.currentId,
+      vectors: ids.length,
+      reasoning: reasoningEntries.length
+    }));
+
+    let written = 0;
+    for (const id of ids) {
+      const entry = this.memoryStore.get(id);
+      if (!entry) continue; // Deleted while waiting for the stream to drain
+
+      await write(encode({ type: 'vector', id, metadata: entry.metadata, timestamp: entry.timestamp, ...entryFields(entry) }, this._exactVector(entry)));
+      written++;
+      if (written % progressEvery === 0) {
+        this.emit('exportProgress', { written, total: ids.length });
+      }
+    }
+    this.emit('exportProgress', { written, total: ids.length });
+
+    for (const [id, entry] of reasoningEntries) {
+      await write(encode({ type: 'reasoning', id, entry }));
+    }
+    await write(encode({ type: 'end', vectors: written, reasoning: reasoningEntries.length }));
+
+    if (end) {
+      stream.end();
+      await finished(stream);
+    }
+
+    const counts = { vectors: written, reasoning: reasoningEntries.length };
+    this.emit('exported', { format, ...counts });
+    return counts;
+  }
+
+  /**
+   * Replace the database contents with a stream written by exportTo()
+   * Records are loaded into a staging index that replaces the current one only
+   * after the end marker is read, so a malformed or truncated stream leaves the
+   * database unchanged.
+   * @param {Readable} stream - Source stream; jsonl and binary are detected automatically
+   * @param {Object} options - Import options
+   * @param {number} options.progressEvery - Vectors between 'importProgress' events (default: 1000)
+   * @returns {Promise<Object>} Number of imported vectors and reasoning entries
+   */
+  async importFrom(stream, options = {}) {
+    const { progressEvery = 1000 } = options;
+    let header = null;
+    let staging = null;
+    let complete = false;
+    let read = 0;
+    let nextId = 0;
+
+    for await (const { record, vector } of readRecords(stream)) {
+      if (complete) {
+        throw new Error('Invalid export stream: records after the end marker');
+      }
+
+      if (!header) {
+        if (record.type !== 'header' || !record.config) {
+          throw new Error('Invalid export stream: missing header');
+        }
+        if (!Number.isInteger(record.version) || record.version > STREAM_VERSION) {
+          throw new Error(`Unsupported export stream version ${record.version} (expected ${STREAM_VERSION} or earlier)`);
+        }
+        this._validateConfig(record.config, 'export stream');
+        header = record;
+        staging = new AgentDB({
+          ...record.config,
+          embedder: 'hash',
+          textField: this.textFields,
+          bm25: { k1: this.textIndex.k1, b: this.textIndex.b }
+        });
+        continue;
+      }
+
+      switch (record.type) {
+        case 'vector': {
+          const { id } = record;
+          if (!Number.isInteger(id) || id < 0 || staging.memoryStore.has(id)) {
+            throw new Error(`Invalid export stream: missing or duplicate vector id ${id}`);
+          }
+          if (!vector || vector.length !== staging.dimension || !vector.every(Number.isFinite)) {
+            throw new Error(`Invalid export stream: vector ${id} does not have ${staging.dimension} finite values`);
+          }
+          if (record.key !== undefined && (typeof record.key !== 'string' || staging.keyIndex.has(record.key))) {
+            throw new Error(`Invalid export stream: vector ${id} has an invalid or duplicate key ${JSON.stringify(record.key)}`);
+          }
+
+          staging._insertVector(id, staging._prepareVector(vector), record.metadata ?? {}, record.timestamp ?? Date.now(), entryFields(record));
+          nextId = Math.max(nextId, id + 1);
+          read++;
+          if (read % progressEvery === 0) {
+            this.emit('importProgress', { read, total: header.vectors });
+          }
+          break;
+        }
+        case 'reasoning':
+          staging.reasoningBank.set(record.id, record.entry);
+          break;
+        case 'end':
+          complete = true;
+          break;
+        default:
+          throw new Error(`Invalid export stream: unknown record type "${record.type}"`);
+      }
+    }
+
+    if (!complete) {
+      throw new Error('Invalid export stream: ended before the end marker (truncated?)');
+    }
+    this.emit('importProgress', { read, total: header.vectors });
+
+    // Swap the staged contents in
+    this._applyConfig(staging._config());
+    this.quantizer = staging.quantizer;
+    this.index = staging.index;
+    this.memoryStore = staging.memoryStore;
+    this.keyIndex = staging.keyIndex;
+    for (const entry of this.memoryStore.values()) {
+      if (!Object.getOwnPropertyDescriptor(entry, 'vector').writable) {
+        this._bindVectorGetter(entry);
+      }
+    }
+    this.textIndex = staging.textIndex;
+    this.deletedIds = new Set();
+    this._nextExpiry = staging._nextExpiry;
+    this.reasoningBank = staging.reasoningBank;
+    this._reindexReasoning();
+    this.currentId = Math.max(header.currentId ?? 0, nextId);
+
+    if (this.wal) {
+      this.save();
+    }
+
+    const counts = { vectors: this.memoryStore.size, reasoning: this.reasoningBank.size };
+    this.emit('imported', counts);
+    return counts;
+  }
+
+  /**
+   * Check an exported config
+   * @private
+   * @param {Object} config - Config from export() or an export stream header
+   * @param {string} label - Name used in error messages
+   * @returns {number} The dimension vectors must have
+   */
+  _validateConfig(config, label) {
+    const dimension = config.dimension ?? this.dimension;
+    if (!Number.isInteger(dimension) || dimension <= 0) {
+      throw new Error(`Invalid ${label}: dimension must be a positive integer, got ${config.dimension}`);
+    }
+    if (config.metric !== undefined && !METRICS.includes(config.metric)) {
+      throw new Error(`Invalid ${label}: unknown metric "${config.metric}"; expected one of ${METRICS.join(', ')}`);
+    }
+    for (const key of INDEX_PARAMS) {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] <= 0)) {
+        throw new Error(`Invalid ${label}: ${key} must be a positive integer, got ${config[key]}`);
+      }
+    }
+    if (config.vectorStorage !== undefined && !VECTOR_STORAGE.includes(config.vectorStorage)) {
+      throw new Error(`Invalid ${label}: unknown vectorStorage "${config.vectorStorage}"; expected one of ${VECTOR_STORAGE.join(', ')}`);
+    }
+    return dimension;
+  }
+
+  /**
+   * Check that data has the shape written by export()
+   * Exports without a version predate versioning and are read as version 0.
+   * @private
+   * @param {Object} data - Data to import
+   * @param {string} label - Name used in error messages
+   */
+  _validateExport(data, label = 'export') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Invalid ${label}: expected an object from export()`);
+    }
+
+    const version = data.version ?? 0;
+    if (!Number.isInteger(version) || version < 0 || version > EXPORT_VERSION) {
+      throw new Error(`Unsupported ${label} version ${data.version} (expected ${EXPORT_VERSION} or earlier)`);
+    }
+    if (version >= 1 && !data.config) {
+      throw new Error(`Invalid ${label}: missing config`);
+    }
+
+    const dimension = this._validateConfig(data.config || {}, label);
+
+    if (data.memoryStore !== undefined && !Array.isArray(data.memoryStore)) {
+      throw new Error(`Invalid ${label}: memoryStore must be an array`);
+    }
+    const ids = new Set();
+    const keys = new Set();
+    (data.memoryStore || []).forEach((entry, idx) => {
+      if (!Number.isInteger(entry?.id) || entry.id < 0) {
+        throw new Error(`Invalid ${label}: memoryStore[${idx}] has no valid id`);
+      }
+      if (ids.has(entry.id)) {
+        throw new Error(`Invalid ${label}: duplicate vector id ${entry.id}`);
+      }
+      ids.add(entry.id);
+      if (!Array.isArray(entry.vector) || entry.vector.length !== dimension) {
+        throw new Error(`Invalid ${label}: vector ${entry.id} has length ${entry.vector?.length} (expected ${dimension})`);
+      }
+      if (!entry.vector.every(Number.isFinite)) {
+        throw new Error(`Invalid ${label}: vector ${entry.id} contains non-finite values`);
+      }
+      if (entry.key !== undefined) {
+        if (typeof entry.key !== 'string' || keys.has(entry.key)) {
+          throw new Error(`Invalid ${label}: vector ${entry.id} has an invalid or duplicate key ${JSON.stringify(entry.key)}`);
+        }
+        keys.add(entry.key);
+      }
+    });
+
+    if (data.reasoningBank !== undefined &&
+        (!Array.isArray(data.reasoningBank) || !data.reasoningBank.every(pair => Array.isArray(pair) && pair.length === 2))) {
+      throw new Error(`Invalid ${label}: reasoningBank must be an array of [id, entry] pairs`);
+    }
+    if (data.currentId !== undefined && (!Number.isInteger(data.currentId) || data.currentId < 0)) {
+      throw new Error(`Invalid ${label}: currentId must be a non-negative integer`);
+    }
+
+    for (const [name, collectionData] of Object.entries(data.collections || {})) {
+      this._validateExport(collectionData, `collection "${name}"`);
+    }
   }
 }
 
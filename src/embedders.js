@@ -0,0 +1,193 @@
+/**
+ * Embedding providers for AgentDB
+ * A provider turns text into vectors for addText() and searchText(). Any object
+ * with this shape can be passed as the `embedder` option:
+ *
+ *   {
+ *     dimension: number,                          // optional if unknown up front
+ *     embed(text): Promise<Float32Array|Array>,
+ *     embedBatch(texts): Promise<Array>           // optional
+ *   }
+ */
+
+import { simpleTextEmbedding } from './utils.js';
+
+/**
+ * Hash-based embeddings (simpleTextEmbedding); fast and dependency-free, for demos and tests
+ */
+export class HashEmbedder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {number} options.dimension - Embedding dimension (default: 384)
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension || 384;
+  }
+
+  async embed(text) {
+    return simpleTextEmbedding(text, this.dimension);
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => simpleTextEmbedding(text, this.dimension));
+  }
+}
+
+/**
+ * Local ONNX model through transformers.js, loaded from disk only
+ * Requires `@huggingface/transformers` (or `@xenova/transformers`) to be installed
+ */
+export class LocalModelEmbedder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model name, resolved under modelPath (e.g. 'all-MiniLM-L6-v2')
+   * @param {string} options.modelPath - Directory holding local models
+   * @param {number} options.dimension - Output dimension of the model
+   * @param {string} options.pooling - Pooling strategy: 'mean' or 'cls' (default: 'mean')
+   * @param {boolean} options.normalize - L2-normalize outputs (default: true)
+   */
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new Error('LocalModelEmbedder requires a model name');
+    }
+    this.model = options.model;
+    this.modelPath = options.modelPath;
+    this.dimension = options.dimension;
+    this.pooling = options.pooling || 'mean';
+    this.normalize = options.normalize ?? true;
+    this.extractor = null;
+  }
+
+  /**
+   * Load the feature-extraction pipeline on first use
+   * @private
+   * @returns {Promise<Function>} The pipeline
+   */
+  async _load() {
+    if (this.extractor) return this.extractor;
+
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch {
+      try {
+        transformers = await import('@xenova/transformers');
+      } catch {
+        throw new Error('LocalModelEmbedder requires @huggingface/transformers or @xenova/transformers to be installed');
+      }
+    }
+
+    const { pipeline, env } = transformers;
+    env.allowRemoteModels = false;
+    if (this.modelPath) {
+      env.localModelPath = this.modelPath;
+    }
+
+    this.extractor = await pipeline('feature-extraction', this.model);
+    return this.extractor;
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    const extractor = await this._load();
+    const output = await extractor(texts, { pooling: this.pooling, normalize: this.normalize });
+    const [rows, dimension] = output.dims;
+    this.dimension = this.dimension || dimension;
+
+    const vectors = [];
+    for (let row = 0; row < rows; row++) {
+      vectors.push(Float32Array.from(output.data.subarray(row * dimension, (row + 1) * dimension)));
+    }
+    return vectors;
+  }
+}
+
+/**
+ * OpenAI-compatible HTTP embeddings endpoint (POST {baseUrl}/embeddings)
+ */
+export class HttpEmbedder {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL (default: https://api.openai.com/v1)
+   * @param {string} options.model - Model name (default: text-embedding-3-small)
+   * @param {string} options.apiKey - Bearer token (default: OPENAI_API_KEY env var)
+   * @param {number} options.dimension - Requested output dimension
+   * @param {Object} options.headers - Extra request headers
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = options.model || 'text-embedding-3-small';
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+    this.dimension = options.dimension;
+    this.headers = options.headers || {};
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    const body = { model: this.model, input: texts };
+    if (this.dimension) {
+      body.dimensions = this.dimension;
+    }
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Embedding request failed with ${response.status} ${response.statusText}${detail ? `: ${detail}` : ''}`);
+    }
+
+    const { data } = await response.json();
+    return data
+      .sort((a, b) => a.index - b.index)
+      .map(item => Float32Array.from(item.embedding));
+  }
+}
+
+/**
+ * Resolve the `embedder` option into a provider
+ * @param {Object|string} spec - A provider instance, a type name ('hash', 'local', 'http'),
+ *   or a config object with a `type` field and provider options
+ * @param {number} dimension - Database dimension, used as the default provider dimension
+ * @returns {Object} Embedding provider
+ */
+export function createEmbedder(spec, dimension) {
+  if (spec && typeof spec.embed === 'function') {
+    return spec;
+  }
+
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : (spec || {});
+  switch (type) {
+    case 'hash':
+      return new HashEmbedder({ dimension, ...options });
+    case 'local':
+      return new LocalModelEmbedder({ dimension, ...options });
+    case 'http':
+      // Only send `dimensions` when asked for explicitly; not every model accepts it
+      return new HttpEmbedder(options);
+    default:
+      throw new Error(`Unknown embedder type: ${type}`);
+  }
+}
+
+export default {
+  HashEmbedder,
+  LocalModelEmbedder,
+  HttpEmbedder,
+  createEmbedder
+};
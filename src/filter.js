@@ -0,0 +1,115 @@
+/**
+ * Metadata filtering for AgentDB
+ * Evaluates Mongo-style query documents against vector metadata
+ */
+
+const COMPARISON_OPERATORS = {
+  $eq: (value, operand) => isEqual(value, operand),
+  $in: (value, operand) => {
+    if (!Array.isArray(operand)) {
+      throw new Error('$in operand must be an array');
+    }
+    return Array.isArray(value)
+      ? value.some(item => operand.some(candidate => isEqual(item, candidate)))
+      : operand.some(candidate => isEqual(value, candidate));
+  },
+  $gt: (value, operand) => value !== undefined && value !== null && value > operand,
+  $lt: (value, operand) => value !== undefined && value !== null && value < operand,
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand)
+};
+
+/**
+ * Compare two values, treating arrays element-wise
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, idx) => isEqual(item, b[idx]));
+  }
+  if (Array.isArray(a)) {
+    return a.some(item => isEqual(item, b));
+  }
+  return a === b;
+}
+
+/**
+ * Resolve a dotted field path (e.g. "indicators.rsi") against an object
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Field path
+ * @returns {*} The value, or undefined if any segment is missing
+ */
+function getField(obj, path) {
+  let value = obj;
+  for (const key of path.split('.')) {
+    if (value === undefined || value === null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Check whether a value is an operator document such as { $gt: 0 }
+ * @param {*} condition - Filter condition for a field
+ * @returns {boolean} True when every key is an operator
+ */
+function isOperatorDocument(condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return false;
+  }
+  const keys = Object.keys(condition);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Evaluate a single field condition
+ * @param {*} value - Metadata value for the field
+ * @param {*} condition - Literal value or operator document
+ * @returns {boolean} Whether the value satisfies the condition
+ */
+function matchesCondition(value, condition) {
+  if (!isOperatorDocument(condition)) {
+    return isEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const evaluate = COMPARISON_OPERATORS[operator];
+    if (!evaluate) {
+      throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+    return evaluate(value, operand);
+  });
+}
+
+/**
+ * Test metadata against a filter
+ * Supports $eq, $in, $gt, $lt and $exists on fields (dotted paths allowed),
+ * and $and / $or to combine sub-filters. A bare value means $eq.
+ * @param {Object} metadata - Metadata to test
+ * @param {Object} filter - Filter document
+ * @returns {boolean} Whether the metadata matches
+ */
+export function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  const doc = metadata || {};
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition)) {
+        throw new Error(`${key} operand must be an array of filters`);
+      }
+      return key === '$and'
+        ? condition.every(sub => matchesFilter(doc, sub))
+        : condition.some(sub => matchesFilter(doc, sub));
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unsupported filter operator: ${key}`);
+    }
+    return matchesCondition(getField(doc, key), condition);
+  });
+}
+
+export default {
+  matchesFilter
+};
@@ -8,10 +8,26 @@ export {
   simpleTextEmbedding,
   randomEmbedding,
   cosineSimilarity,
+  vectorDistance,
+  distanceToScore,
+  scoreToDistance,
   printResults,
   printStats,
   benchmark
 } from './utils.js';
+export { matchesFilter } from './filter.js';
+export { readSnapshot, writeSnapshot, STORAGE_VERSION } from './storage.js';
+export { WriteAheadLog } from './wal.js';
+export {
+  HashEmbedder,
+  LocalModelEmbedder,
+  HttpEmbedder,
+  createEmbedder
+} from './embedders.js';
+export { TextIndex, tokenize } from './text-index.js';
+export { STREAM_VERSION, STREAM_FORMATS, createEncoder, readRecords } from './stream-format.js';
+export { QUANTIZATIONS, ScalarQuantizer, ProductQuantizer, createQuantizer } from './quantization.js';
+export { Transaction } from './transaction.js';
 
 // Re-export for convenience
 import { AgentDB } from './agentdb.js';
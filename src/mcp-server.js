@@ -0,0 +1,317 @@
+/**
+ * AgentDB MCP server
+ * Exposes an AgentDB instance over the Model Context Protocol (stdio transport)
+ *
+ * Environment:
+ *   AGENTDB_PATH       - Database directory (opened with AgentDB.open); in-memory if unset
+ *   AGENTDB_DIMENSION  - Embedding dimension for a new database (default: 384)
+ *   AGENTDB_EMBEDDER   - Embedding provider type: hash, local or http (default: hash)
+ *   AGENTDB_EMBEDDING_MODEL - Model name for the local or http provider
+ *   AGENTDB_MODEL_PATH - Directory holding local models
+ *   AGENTDB_EMBEDDING_URL - Base URL of an OpenAI-compatible embeddings API
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { pathToFileURL } from 'url';
+import { AgentDB } from './agentdb.js';
+
+const SERVER_INFO = { name: 'agentdb', version: '1.0.0' };
+
+const metadataSchema = {
+  type: 'object',
+  description: 'Arbitrary JSON metadata stored with the entry',
+  additionalProperties: true
+};
+
+const vectorSchema = {
+  type: 'array',
+  items: { type: 'number' },
+  description: 'Embedding vector; length must equal the database dimension'
+};
+
+export const TOOLS = [
+  {
+    name: 'agentdb_add_vector',
+    description: 'Store an embedding vector with metadata. Returns the new vector id.',
+    inputSchema: {
+      type: 'object',
+      properties: { vector: vectorSchema, metadata: metadataSchema },
+      required: ['vector']
+    }
+  },
+  {
+    name: 'agentdb_remember',
+    description: 'Store a piece of text as a memory. The text is embedded with the database embedder and kept in metadata.text.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to remember' },
+        metadata: metadataSchema
+      },
+      required: ['text']
+    }
+  },
+  {
+    name: 'agentdb_search',
+    description: 'Find the nearest stored entries to a query text or vector, optionally filtered by metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Query text (embedded before searching)' },
+        vector: vectorSchema,
+        k: { type: 'integer', minimum: 1, default: 5, description: 'Number of results' },
+        filter: {
+          type: 'object',
+          description: 'Metadata filter using $eq, $in, $gt, $lt, $exists, $and, $or',
+          additionalProperties: true
+        }
+      }
+    }
+  },
+  {
+    name: 'agentdb_add_reasoning',
+    description: 'Store a reasoning pattern in the ReasoningBank. Returns the reasoning id.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context: { type: 'string', description: 'The question or situation' },
+        reasoning: { type: 'string', description: 'The reasoning process' },
+        metadata: metadataSchema
+      },
+      required: ['context', 'reasoning']
+    }
+  },
+  {
+    name: 'agentdb_search_reasoning',
+    description: 'Search the ReasoningBank by meaning, blending semantic similarity with keyword matches.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Question or search term' },
+        k: { type: 'integer', minimum: 1, default: 10, description: 'Maximum number of results' },
+        filter: {
+          type: 'object',
+          description: 'Filter on reasoning metadata, e.g. { "domain": "database" }',
+          additionalProperties: true
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'agentdb_record_outcome',
+    description: 'Record whether applying a reasoning entry worked, so successful reasoning ranks higher.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Reasoning id' },
+        success: { type: 'boolean', description: 'Whether the reasoning worked (defaults to reward > 0)' },
+        reward: { type: 'number', description: 'Numeric reward' },
+        notes: { type: 'string', description: 'Free-form notes' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'agentdb_delete_vector',
+    description: 'Delete a stored vector by id.',
+    inputSchema: {
+      type: 'object',
+      properties: { id: { type: 'integer', description: 'Vector id' } },
+      required: ['id']
+    }
+  },
+  {
+    name: 'agentdb_update_metadata',
+    description: 'Merge new metadata into a stored vector.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', description: 'Vector id' },
+        metadata: metadataSchema
+      },
+      required: ['id', 'metadata']
+    }
+  },
+  {
+    name: 'agentdb_get_stats',
+    description: 'Get database statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bytes: { type: 'boolean', default: false, description: 'Include a memory estimate in bytes (visits every vector)' }
+      }
+    }
+  }
+];
+
+/**
+ * Strip the raw vector from a stored entry for transport
+ * @param {Object} entry - Memory store entry or search result
+ * @returns {Object} Entry without its vector
+ */
+function withoutVector(entry) {
+  const { vector, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Build tool handlers bound to a database
+ * @param {AgentDB} db - Database to operate on
+ * @returns {Object} Map of tool name to handler
+ */
+function createToolHandlers(db) {
+  return {
+    agentdb_add_vector: ({ vector, metadata = {} }) => ({ id: db.addVector(vector, metadata) }),
+    agentdb_remember: async ({ text, metadata = {} }) => ({ id: await db.addText(text, metadata) }),
+    agentdb_search: async ({ text, vector, k = 5, filter }) => {
+      if (!text && !vector) {
+        throw new Error('Provide either text or vector');
+      }
+      const results = vector
+        ? db.search(vector, k, { filter })
+        : await db.searchText(text, k, { filter });
+      return results.map(withoutVector);
+    },
+    agentdb_add_reasoning: ({ context, reasoning, metadata = {} }) => ({
+      id: db.addReasoning(context, reasoning, metadata)
+    }),
+    agentdb_search_reasoning: ({ query, k = 10, filter }) => db.searchReasoning(query, { k, filter }),
+    agentdb_record_outcome: ({ id, success, reward, notes }) => {
+      const usage = db.recordOutcome(id, { success, reward, notes });
+      if (!usage) throw new Error(`Reasoning ${id} not found`);
+      return usage;
+    },
+    agentdb_delete_vector: ({ id }) => ({ deleted: db.deleteVector(id) }),
+    agentdb_update_metadata: ({ id, metadata }) => ({ updated: db.updateMetadata(id, metadata) }),
+    agentdb_get_stats: ({ bytes = false }) => db.getStats({ bytes })
+  };
+}
+
+/**
+ * Read an agentdb:// resource
+ * @param {AgentDB} db - Database to read from
+ * @param {string} uri - Resource URI
+ * @returns {Object} JSON-serializable resource contents
+ */
+function readResource(db, uri) {
+  const { host, pathname } = new URL(uri);
+  const id = decodeURIComponent(pathname.replace(/^\//, ''));
+
+  switch (host) {
+    case 'stats':
+      return db.getStats();
+    case 'vectors': {
+      if (!id) {
+        return Array.from(db.memoryStore.values()).map(withoutVector);
+      }
+      const entry = db.memoryStore.get(Number(id));
+      if (!entry) throw new Error(`Vector ${id} not found`);
+      return { ...entry, vector: Array.from(entry.vector) };
+    }
+    case 'reasoning': {
+      if (!id) {
+        return Array.from(db.reasoningBank.entries()).map(([key, entry]) => ({ id: key, ...entry }));
+      }
+      const entry = db.getReasoning(id);
+      if (!entry) throw new Error(`Reasoning ${id} not found`);
+      return { id, ...entry };
+    }
+    default:
+      throw new Error(`Unknown resource: ${uri}`);
+  }
+}
+
+/**
+ * Create an MCP server exposing a database as tools and resources
+ * @param {AgentDB} db - Database to expose
+ * @returns {Server} Configured (unconnected) MCP server
+ */
+export function createMcpServer(db) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: { tools: {}, resources: {} }
+  });
+  const handlers = createToolHandlers(db);
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const handler = handlers[name];
+    if (!handler) {
+      return { isError: true, content: [{ type: 'text', text: `Unknown tool: ${name}` }] };
+    }
+
+    try {
+      const result = await handler(args);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { isError: true, content: [{ type: 'text', text: error.message }] };
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: [
+      { uri: 'agentdb://stats', name: 'Database statistics', mimeType: 'application/json' },
+      { uri: 'agentdb://vectors', name: 'Stored vectors (metadata only)', mimeType: 'application/json' },
+      { uri: 'agentdb://reasoning', name: 'ReasoningBank entries', mimeType: 'application/json' }
+    ]
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [
+      { uriTemplate: 'agentdb://vectors/{id}', name: 'Stored vector', mimeType: 'application/json' },
+      { uriTemplate: 'agentdb://reasoning/{id}', name: 'Reasoning entry', mimeType: 'application/json' }
+    ]
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(readResource(db, uri), null, 2) }]
+    };
+  });
+
+  return server;
+}
+
+/**
+ * Start a stdio MCP server for the database configured in the environment
+ * @returns {Promise<Server>} The connected server
+ */
+export async function main() {
+  const options = {
+    dimension: Number(process.env.AGENTDB_DIMENSION) || 384,
+    embedder: {
+      type: process.env.AGENTDB_EMBEDDER || 'hash',
+      model: process.env.AGENTDB_EMBEDDING_MODEL,
+      modelPath: process.env.AGENTDB_MODEL_PATH,
+      baseUrl: process.env.AGENTDB_EMBEDDING_URL
+    }
+  };
+  const db = process.env.AGENTDB_PATH
+    ? AgentDB.open(process.env.AGENTDB_PATH, options)
+    : new AgentDB(options);
+
+  const server = createMcpServer(db);
+  server.onclose = () => db.close();
+  await server.connect(new StdioServerTransport());
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error('AgentDB MCP server failed:', error);
+    process.exit(1);
+  });
+}
+
+export default createMcpServer;
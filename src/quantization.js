@@ -0,0 +1,332 @@
+/**
+ * Vector quantizers for AgentDB's stored vector copies
+ * Codes are plain Uint8Arrays so they can be stored and measured uniformly:
+ *
+ *   int8 - scalar quantization: a float32 min and step per vector, then one byte per dimension
+ *   pq   - product quantization: one byte per subvector, indexing a trained codebook
+ */
+
+export const QUANTIZATIONS = ['int8', 'pq'];
+
+export class ScalarQuantizer {
+  /**
+   * @param {number} dimension - Vector dimension
+   */
+  constructor(dimension) {
+    this.type = 'int8';
+    this.dimension = dimension;
+    this.trained = true; // Per-vector ranges need no training
+  }
+
+  /**
+   * Bytes used by the codes of one vector
+   * @returns {number} Code size
+   */
+  get bytesPerVector() {
+    return this.dimension + 8;
+  }
+
+  /**
+   * Encode a vector
+   * @param {Float32Array|Array} vector - Vector to encode
+   * @returns {Uint8Array} Codes
+   */
+  encode(vector) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < this.dimension; i++) {
+      if (vector[i] < min) min = vector[i];
+      if (vector[i] > max) max = vector[i];
+    }
+    const step = max > min ? (max - min) / 255 : 1;
+
+    const codes = new Uint8Array(this.bytesPerVector);
+    const header = new DataView(codes.buffer);
+    header.setFloat32(0, min, true);
+    header.setFloat32(4, step, true);
+    for (let i = 0; i < this.dimension; i++) {
+      codes[8 + i] = Math.round((vector[i] - min) / step);
+    }
+    return codes;
+  }
+
+  /**
+   * Reconstruct a vector from its codes
+   * @param {Uint8Array} codes - Codes from encode()
+   * @returns {Float32Array} Approximate vector
+   */
+  decode(codes) {
+    const header = new DataView(codes.buffer, codes.byteOffset, 8);
+    const min = header.getFloat32(0, true);
+    const step = header.getFloat32(4, true);
+    const vector = new Float32Array(this.dimension);
+    for (let i = 0; i < this.dimension; i++) {
+      vector[i] = min + codes[8 + i] * step;
+    }
+    return vector;
+  }
+
+  /**
+   * Serializable state
+   * @returns {Object} Quantizer state
+   */
+  toJSON() {
+    return { type: this.type, dimension: this.dimension };
+  }
+}
+
+export class ProductQuantizer {
+  /**
+   * @param {number} dimension - Vector dimension
+   * @param {Object} options - PQ options
+   * @param {number} options.subvectors - Number of subvectors; must divide the dimension
+   *   (default: the largest divisor of the dimension up to dimension / 4)
+   * @param {number} options.centroids - Centroids per subvector, at most 256 (default: 256)
+   * @param {number} options.iterations - k-means iterations when training (default: 10)
+   * @param {number} options.trainingSize - Vectors collected before training automatically (default: 1000)
+   */
+  constructor(dimension, options = {}) {
+    this.type = 'pq';
+    this.dimension = dimension;
+    this.subvectors = options.subvectors || defaultSubvectors(dimension);
+    if (dimension % this.subvectors !== 0) {
+      throw new Error(`PQ subvectors (${this.subvectors}) must divide the dimension (${dimension})`);
+    }
+    this.subDimension = dimension / this.subvectors;
+    this.centroids = Math.min(options.centroids || 256, 256);
+    this.iterations = options.iterations || 10;
+    this.trainingSize = options.trainingSize || 1000;
+    this.codebooks = null; // One Float32Array of centroids x subDimension per subvector
+  }
+
+  /**
+   * Whether the codebooks have been trained
+   * @returns {boolean} True once train() has run
+   */
+  get trained() {
+    return this.codebooks !== null;
+  }
+
+  /**
+   * Bytes used by the codes of one vector
+   * @returns {number} Code size
+   */
+  get bytesPerVector() {
+    return this.subvectors;
+  }
+
+  /**
+   * Bytes used by the codebooks
+   * @returns {number} Codebook size
+   */
+  get codebookBytes() {
+    return this.trained ? this.subvectors * this.centroids * this.subDimension * 4 : 0;
+  }
+
+  /**
+   * Learn the codebooks with k-means on each subvector
+   * @param {Array<Float32Array|Array>} vectors - Training vectors
+   */
+  train(vectors) {
+    if (vectors.length === 0) {
+      throw new Error('Product quantization needs at least one training vector');
+    }
+
+    const k = Math.min(this.centroids, vectors.length);
+    const random = seededRandom(vectors.length);
+    this.codebooks = [];
+    for (let s = 0; s < this.subvectors; s++) {
+      const offset = s * this.subDimension;
+      const points = vectors.map(vector => Float32Array.from(vector.slice(offset, offset + this.subDimension)));
+      this.codebooks.push(kMeans(points, k, this.subDimension, this.iterations, random));
+    }
+    this.centroids = k;
+  }
+
+  /**
+   * Encode a vector
+   * @param {Float32Array|Array} vector - Vector to encode
+   * @returns {Uint8Array} Codes
+   */
+  encode(vector) {
+    if (!this.trained) {
+      throw new Error('Product quantizer has not been trained');
+    }
+
+    const codes = new Uint8Array(this.subvectors);
+    for (let s = 0; s < this.subvectors; s++) {
+      codes[s] = nearestCentroid(this.codebooks[s], vector, s * this.subDimension, this.subDimension, this.centroids);
+    }
+    return codes;
+  }
+
+  /**
+   * Reconstruct a vector from its codes
+   * @param {Uint8Array} codes - Codes from encode()
+   * @returns {Float32Array} Approximate vector
+   */
+  decode(codes) {
+    const vector = new Float32Array(this.dimension);
+    for (let s = 0; s < this.subvectors; s++) {
+      const start = codes[s] * this.subDimension;
+      vector.set(this.codebooks[s].subarray(start, start + this.subDimension), s * this.subDimension);
+    }
+    return vector;
+  }
+
+  /**
+   * Serializable state, including the codebooks
+   * @returns {Object} Quantizer state
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      dimension: this.dimension,
+      subvectors: this.subvectors,
+      centroids: this.centroids,
+      iterations: this.iterations,
+      trainingSize: this.trainingSize,
+      codebooks: this.codebooks && this.codebooks.map(codebook => Array.from(codebook))
+    };
+  }
+}
+
+/**
+ * Create a quantizer
+ * @param {string} type - 'int8' or 'pq'
+ * @param {number} dimension - Vector dimension
+ * @param {Object} options - Quantizer options (see ProductQuantizer)
+ * @returns {ScalarQuantizer|ProductQuantizer} The quantizer
+ */
+export function createQuantizer(type, dimension, options = {}) {
+  switch (type) {
+    case 'int8':
+      return new ScalarQuantizer(dimension);
+    case 'pq':
+      return new ProductQuantizer(dimension, options);
+    default:
+      throw new Error(`Unknown quantization "${type}"; expected one of ${QUANTIZATIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Restore a quantizer from toJSON() output
+ * @param {Object} state - Quantizer state
+ * @returns {ScalarQuantizer|ProductQuantizer} The quantizer
+ */
+export function restoreQuantizer(state) {
+  const quantizer = createQuantizer(state.type, state.dimension, state);
+  if (state.type === 'pq' && state.codebooks) {
+    quantizer.centroids = state.centroids;
+    quantizer.codebooks = state.codebooks.map(codebook => Float32Array.from(codebook));
+  }
+  return quantizer;
+}
+
+/**
+ * Largest divisor of the dimension that leaves subvectors of at least 4 dimensions
+ * @param {number} dimension - Vector dimension
+ * @returns {number} Number of subvectors
+ */
+function defaultSubvectors(dimension) {
+  for (let count = Math.max(1, Math.floor(dimension / 4)); count > 1; count--) {
+    if (dimension % count === 0) return count;
+  }
+  return 1;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32), so training is reproducible
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Index of the centroid closest (squared L2) to a slice of a vector
+ * @param {Float32Array} codebook - Centroids, flattened
+ * @param {Float32Array|Array} vector - Vector
+ * @param {number} offset - Start of the slice in the vector
+ * @param {number} size - Slice length
+ * @param {number} count - Number of centroids
+ * @returns {number} Centroid index
+ */
+function nearestCentroid(codebook, vector, offset, size, count) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let c = 0; c < count; c++) {
+    let distance = 0;
+    for (let i = 0; i < size; i++) {
+      const diff = vector[offset + i] - codebook[c * size + i];
+      distance += diff * diff;
+    }
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lloyd's k-means
+ * @param {Array<Float32Array>} points - Points of equal size
+ * @param {number} k - Number of centroids
+ * @param {number} size - Point dimension
+ * @param {number} iterations - Iterations
+ * @param {Function} random - Random generator
+ * @returns {Float32Array} Centroids, flattened
+ */
+function kMeans(points, k, size, iterations, random) {
+  // Start from k distinct random points
+  const centroids = new Float32Array(k * size);
+  const order = points.map((_, idx) => idx);
+  for (let i = 0; i < k; i++) {
+    const pick = i + Math.floor(random() * (order.length - i));
+    [order[i], order[pick]] = [order[pick], order[i]];
+    centroids.set(points[order[i]], i * size);
+  }
+
+  const assignments = new Int32Array(points.length);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    points.forEach((point, idx) => {
+      assignments[idx] = nearestCentroid(centroids, point, 0, size, k);
+    });
+
+    const sums = new Float64Array(k * size);
+    const counts = new Int32Array(k);
+    points.forEach((point, idx) => {
+      const c = assignments[idx];
+      counts[c]++;
+      for (let i = 0; i < size; i++) {
+        sums[c * size + i] += point[i];
+      }
+    });
+
+    for (let c = 0; c < k; c++) {
+      // Empty clusters keep their previous centroid
+      if (counts[c] === 0) continue;
+      for (let i = 0; i < size; i++) {
+        centroids[c * size + i] = sums[c * size + i] / counts[c];
+      }
+    }
+  }
+  return centroids;
+}
+
+export default {
+  QUANTIZATIONS,
+  ScalarQuantizer,
+  ProductQuantizer,
+  createQuantizer,
+  restoreQuantizer
+};
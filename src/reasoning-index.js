@@ -0,0 +1,158 @@
+/**
+ * Semantic index for the ReasoningBank
+ * Keeps reasoning embeddings in their own HNSW index, keyed by reasoning ID
+ */
+
+import hnswlib from 'hnswlib-node';
+import { tokenize } from './text-index.js';
+
+const { HierarchicalNSW } = hnswlib;
+
+export class ReasoningIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.dimension - Embedding dimension
+   * @param {number} options.maxElements - Initial capacity (default: 1000)
+   * @param {number} options.m - HNSW M parameter (default: 16)
+   * @param {number} options.efConstruction - HNSW construction parameter (default: 200)
+   * @param {number} options.efSearch - Search quality parameter (default: 50)
+   * @param {number} options.growthFactor - Capacity multiplier when full (default: 2)
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension || 384;
+    this.maxElements = options.maxElements || 1000;
+    this.m = options.m || 16;
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 50;
+    this.growthFactor = options.growthFactor || 2;
+    this.clear();
+  }
+
+  /**
+   * Remove every point
+   */
+  clear() {
+    this.index = new HierarchicalNSW('cosine', this.dimension);
+    this.index.initIndex(this.maxElements, this.m, this.efConstruction);
+    this.index.setEf(this.efSearch);
+    this.labels = new Map(); // reasoning ID -> HNSW label
+    this.ids = new Map(); // HNSW label -> reasoning ID
+    this.nextLabel = 0;
+  }
+
+  /**
+   * Number of indexed reasoning entries
+   * @returns {number} Indexed entry count
+   */
+  get size() {
+    return this.labels.size;
+  }
+
+  /**
+   * Whether a reasoning entry has been indexed
+   * @param {string} id - Reasoning ID
+   * @returns {boolean} True if indexed
+   */
+  has(id) {
+    return this.labels.has(id);
+  }
+
+  /**
+   * Indexed embedding of a reasoning entry
+   * @param {string} id - Reasoning ID
+   * @returns {Array<number>|null} The embedding, normalized by the cosine index, or null if not indexed
+   */
+  vectorOf(id) {
+    const label = this.labels.get(id);
+    return label === undefined ? null : this.index.getPoint(label);
+  }
+
+  /**
+   * Index (or re-index) a reasoning entry
+   * @param {string} id - Reasoning ID
+   * @param {Float32Array|Array} vector - Embedding of the entry
+   */
+  add(id, vector) {
+    if (vector.length !== this.dimension) {
+      throw new Error(`Reasoning embedding dimension ${vector.length} does not match ${this.dimension}`);
+    }
+
+    let label = this.labels.get(id);
+    if (label === undefined) {
+      if (this.index.getCurrentCount() + 1 > this.index.getMaxElements()) {
+        this.index.resizeIndex(Math.ceil(this.index.getMaxElements() * this.growthFactor));
+      }
+      label = this.nextLabel++;
+      this.labels.set(id, label);
+      this.ids.set(label, id);
+    }
+
+    // Convert to regular array for hnswlib-node
+    this.index.addPoint(Array.from(vector), label);
+  }
+
+  /**
+   * Remove a reasoning entry from the index
+   * @param {string} id - Reasoning ID
+   * @returns {boolean} Whether the entry was indexed
+   */
+  remove(id) {
+    const label = this.labels.get(id);
+    if (label === undefined) return false;
+
+    this.index.markDelete(label);
+    this.labels.delete(id);
+    this.ids.delete(label);
+    return true;
+  }
+
+  /**
+   * Find the reasoning entries closest to a query embedding
+   * @param {Float32Array|Array} vector - Query embedding
+   * @param {number} k - Number of results
+   * @returns {Array} Results with id and similarity (1 - cosine distance)
+   */
+  search(vector, k) {
+    const count = Math.min(k, this.size);
+    if (count <= 0) return [];
+
+    const result = this.index.searchKnn(Array.from(vector), count);
+    return result.neighbors.map((label, idx) => ({
+      id: this.ids.get(label),
+      similarity: 1 - result.distances[idx]
+    }));
+  }
+}
+
+/**
+ * Text of a reasoning entry that is embedded and matched against keywords
+ * @param {Object} entry - Reasoning entry
+ * @returns {string} Context and reasoning
+ */
+export function reasoningText(entry) {
+  return `${entry.context}\n${entry.reasoning}`;
+}
+
+/**
+ * Score how well text matches a keyword query
+ * Query and text are compared as whole terms (see tokenize()). The query's
+ * terms appearing in the text in order scores 1; otherwise the score is the
+ * fraction of query terms that occur in the text
+ * @param {string} query - Search query
+ * @param {string} text - Text to score
+ * @returns {number} Keyword score in [0, 1]
+ */
+export function keywordScore(query, text) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return 0;
+
+  const words = tokenize(text);
+  const phrase = words.some((_, start) => terms.every((term, idx) => words[start + idx] === term));
+  if (phrase) return 1;
+
+  const vocabulary = new Set(words);
+  const matched = terms.filter(term => vocabulary.has(term)).length;
+  return matched / terms.length;
+}
+
+export default ReasoningIndex;
@@ -0,0 +1,194 @@
+/**
+ * Persistent worker threads for AgentDB.searchBatch()
+ * Each worker keeps its own copy of the HNSW index. The copy is loaded once and
+ * reloaded only when the database's index has changed since the last load.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Worker } from 'worker_threads';
+
+export class SearchWorkerPool {
+  constructor() {
+    this.workers = [];
+    this.snapshot = null; // { index, changes, loaded } of the copy the workers hold
+    this.closed = false;
+    this._nextRequest = 0;
+    this._pending = new Map(); // Request ID -> { worker, resolve, reject }
+  }
+
+  /**
+   * Number of running workers
+   * @returns {number} Worker count
+   */
+  get size() {
+    return this.workers.length;
+  }
+
+  /**
+   * Start workers until there are at least size of them
+   * New workers hold no index, so the next sync() reloads every worker.
+   * @param {number} size - Number of workers wanted
+   */
+  grow(size) {
+    while (this.workers.length < size) {
+      this.workers.push(this._spawn());
+      this.snapshot = null;
+    }
+  }
+
+  /**
+   * Make sure the workers hold the database's current index
+   * @param {AgentDB} db - Database whose index is searched
+   * @returns {Promise<void>} Resolves once every worker has loaded it
+   */
+  sync(db) {
+    const { index, _indexChanges: changes } = db;
+    if (this.snapshot?.index !== index || this.snapshot.changes !== changes) {
+      this.snapshot = { index, changes, loaded: this._load(db) };
+    }
+    return this.snapshot.loaded;
+  }
+
+  /**
+   * Run kNN queries on the first workers of the pool
+   * @param {Array<Array>} queries - Query vectors as plain arrays
+   * @param {Array<number>} counts - Number of neighbors per query
+   * @param {number} ef - Requested ef; raised to the count of each query
+   * @param {number} workers - Number of workers to spread the queries over
+   * @returns {Promise<Array<Object>>} hnswlib results { neighbors, distances }, in query order
+   */
+  async search(queries, counts, ef, workers) {
+    if (this.workers.length < workers) {
+      throw new Error(this.closed ? 'Search workers were closed' : 'Search worker exited');
+    }
+    const chunkSize = Math.ceil(queries.length / workers);
+    const chunks = [];
+    for (let offset = 0, idx = 0; offset < queries.length; offset += chunkSize, idx++) {
+      chunks.push(this._request(this.workers[idx], {
+        type: 'search',
+        queries: queries.slice(offset, offset + chunkSize),
+        counts: counts.slice(offset, offset + chunkSize),
+        ef
+      }));
+    }
+    return (await Promise.all(chunks)).flatMap(({ results }) => results);
+  }
+
+  /**
+   * Stop every worker
+   * Stopping a worker inside a native search aborts the whole process, so each
+   * one is asked to exit once it has answered the requests already sent to it.
+   * @returns {Promise<void>} Resolves once the workers have exited
+   */
+  async terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    this.snapshot = null;
+    this.closed = true;
+    await Promise.all(workers.map(worker => new Promise(resolve => {
+      worker.once('exit', resolve);
+      worker.postMessage({ type: 'close' });
+    })));
+  }
+
+  /**
+   * Write the index to a temporary file and have every worker load it
+   * @private
+   * @param {AgentDB} db - Database whose index is loaded
+   * @returns {Promise<void>} Resolves once every worker has loaded it
+   */
+  async _load(db) {
+    const dir = mkdtempSync(join(tmpdir(), 'agentdb-search-'));
+    const indexPath = join(dir, 'index.hnsw');
+    try {
+      db.index.writeIndexSync(indexPath);
+      const message = { type: 'load', indexPath, space: db.metric, dimension: db.dimension };
+      await Promise.all(this.workers.map(worker => this._request(worker, message)));
+    } catch (error) {
+      this.snapshot = null;
+      throw error;
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Start a worker
+   * Idle workers are unreferenced so they do not keep the process alive.
+   * @private
+   * @returns {Worker} The worker
+   */
+  _spawn() {
+    const worker = new Worker(new URL('./search-worker.js', import.meta.url));
+    worker.unref();
+    worker.on('message', ({ request, results, error }) => {
+      const pending = this._pending.get(request);
+      if (!pending) return;
+      this._pending.delete(request);
+      this._release(worker);
+      if (error) {
+        pending.reject(new Error(`Search worker failed: ${error}`));
+      } else {
+        pending.resolve({ results });
+      }
+    });
+    worker.on('error', error => this._fail(worker, error));
+    worker.on('exit', code => this._fail(worker, new Error(`Search worker exited with code ${code}`)));
+    return worker;
+  }
+
+  /**
+   * Send a message to a worker and wait for its reply
+   * @private
+   * @param {Worker} worker - The worker
+   * @param {Object} message - Message without a request ID
+   * @returns {Promise<Object>} The reply
+   */
+  _request(worker, message) {
+    if (this.closed) {
+      return Promise.reject(new Error('Search workers were closed'));
+    }
+    const request = this._nextRequest++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(request, { worker, resolve, reject });
+      worker.ref();
+      worker.postMessage({ request, ...message });
+    });
+  }
+
+  /**
+   * Let the process exit while a worker has nothing to answer
+   * @private
+   * @param {Worker} worker - The worker
+   */
+  _release(worker) {
+    for (const pending of this._pending.values()) {
+      if (pending.worker === worker) return;
+    }
+    worker.unref();
+  }
+
+  /**
+   * Drop a worker that crashed or exited, failing its outstanding requests
+   * @private
+   * @param {Worker} worker - The worker
+   * @param {Error} error - Reason given to the requests
+   */
+  _fail(worker, error) {
+    const idx = this.workers.indexOf(worker);
+    if (idx !== -1) {
+      this.workers.splice(idx, 1);
+      this.snapshot = null;
+    }
+    for (const [request, pending] of this._pending) {
+      if (pending.worker === worker) {
+        this._pending.delete(request);
+        pending.reject(error);
+      }
+    }
+  }
+}
+
+export default SearchWorkerPool;
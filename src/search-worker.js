@@ -0,0 +1,37 @@
+/**
+ * Worker thread for AgentDB.searchBatch()
+ * Holds a copy of the HNSW index, loaded from a snapshot file when the pool asks,
+ * and answers kNN queries against it until the pool asks it to close
+ */
+
+import { parentPort } from 'worker_threads';
+import hnswlib from 'hnswlib-node';
+
+const { HierarchicalNSW } = hnswlib;
+let index = null;
+
+parentPort.on('message', ({ request, type, ...data }) => {
+  if (type === 'close') {
+    // Messages are handled in order, so every earlier request has been answered
+    parentPort.close();
+    return;
+  }
+
+  try {
+    if (type === 'load') {
+      index = new HierarchicalNSW(data.space, data.dimension);
+      index.readIndexSync(data.indexPath);
+      parentPort.postMessage({ request });
+      return;
+    }
+
+    // hnswlib cannot reliably return more neighbors than its ef
+    const results = data.queries.map((query, idx) => {
+      index.setEf(Math.max(data.ef, data.counts[idx]));
+      return index.searchKnn(query, data.counts[idx]);
+    });
+    parentPort.postMessage({ request, results });
+  } catch (error) {
+    parentPort.postMessage({ request, error: error.message });
+  }
+});
@@ -0,0 +1,204 @@
+/**
+ * On-disk storage for AgentDB
+ * A database directory holds one snapshot generation at a time:
+ *
+ *   manifest.json               - points at the current generation's files
+ *   index.<gen>.hnsw            - native hnswlib index
+ *   vectors.<gen>.bin           - raw Float32 vectors, in the order of store.entries
+ *   store.<gen>.json            - config, ids, metadata and tombstones
+ *   reasoning.<gen>.json        - ReasoningBank entries
+ *   reasoning-vectors.<gen>.bin - Float32 reasoning embeddings, in the order of
+ *                                 store.reasoningEmbeddings.ids
+ *   wal.log                     - write-ahead log since the last save (see wal.js)
+ *   collections/<name>/         - one database directory per named collection
+ *
+ * A save writes a complete new generation first and only then replaces the
+ * manifest via atomic rename, so a crash mid-write leaves the previous
+ * snapshot intact.
+ */
+
+import {
+  closeSync,
+  existsSync,
+  fsyncSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  unlinkSync,
+  writeSync
+} from 'fs';
+import { join } from 'path';
+
+export const STORAGE_VERSION = 1;
+const MANIFEST = 'manifest.json';
+
+/**
+ * Flush a file's contents to disk
+ * @param {string} file - File path
+ */
+function fsyncFile(file) {
+  const fd = openSync(file, 'r+');
+  try {
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Flush a directory entry table so renames are durable
+ * Not every platform allows fsync on directories; failures are ignored
+ * @param {string} dir - Directory path
+ */
+function fsyncDir(dir) {
+  let fd;
+  try {
+    fd = openSync(dir, 'r');
+    fsyncSync(fd);
+  } catch {
+    // Directory fsync is best-effort
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+/**
+ * Write a file and flush it to disk
+ * @param {string} file - File path
+ * @param {string|Buffer} data - Contents
+ */
+function writeFileDurable(file, data) {
+  const fd = openSync(file, 'w');
+  try {
+    writeSync(fd, data);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Atomically replace a file by writing a temp file and renaming it
+ * @param {string} file - File path
+ * @param {string|Buffer} data - Contents
+ */
+export function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  writeFileDurable(tmp, data);
+  renameSync(tmp, file);
+}
+
+/**
+ * Read the manifest of a database directory
+ * @param {string} dir - Database directory
+ * @returns {Object|null} The manifest, or null if the directory holds no snapshot
+ */
+export function readManifest(dir) {
+  const file = join(dir, MANIFEST);
+  if (!existsSync(file)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(readFileSync(file, 'utf8'));
+  if (manifest.version !== STORAGE_VERSION) {
+    throw new Error(`Unsupported storage version ${manifest.version} in ${dir} (expected ${STORAGE_VERSION})`);
+  }
+  return manifest;
+}
+
+/**
+ * Write a new snapshot generation and switch the manifest to it
+ * @param {string} dir - Database directory
+ * @param {Object} snapshot - Snapshot contents
+ * @param {Object} snapshot.index - hnswlib index to serialize
+ * @param {Buffer} snapshot.vectors - Raw Float32 vector data
+ * @param {Object} snapshot.store - Config, entries and tombstones
+ * @param {Array} snapshot.reasoning - ReasoningBank entries
+ * @param {Buffer} snapshot.reasoningVectors - Raw Float32 reasoning embeddings
+ * @returns {Object} The new manifest
+ */
+export function writeSnapshot(dir, { index, vectors, store, reasoning, reasoningVectors }) {
+  mkdirSync(dir, { recursive: true });
+
+  const previous = readManifest(dir);
+  const generation = (previous?.generation ?? 0) + 1;
+  const files = {
+    index: `index.${generation}.hnsw`,
+    vectors: `vectors.${generation}.bin`,
+    store: `store.${generation}.json`,
+    reasoning: `reasoning.${generation}.json`,
+    reasoningVectors: `reasoning-vectors.${generation}.bin`
+  };
+
+  index.writeIndexSync(join(dir, files.index));
+  fsyncFile(join(dir, files.index));
+  writeFileDurable(join(dir, files.vectors), vectors);
+  writeFileDurable(join(dir, files.store), JSON.stringify(store));
+  writeFileDurable(join(dir, files.reasoning), JSON.stringify(reasoning));
+  writeFileDurable(join(dir, files.reasoningVectors), reasoningVectors);
+
+  const manifest = {
+    version: STORAGE_VERSION,
+    generation,
+    files,
+    config: store.config,
+    savedAt: Date.now()
+  };
+  writeFileAtomic(join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  fsyncDir(dir);
+
+  removeStaleGenerations(dir, generation);
+  return manifest;
+}
+
+/**
+ * Read the current snapshot of a database directory
+ * @param {string} dir - Database directory
+ * @returns {Object|null} { manifest, indexPath, vectors, store, reasoning, reasoningVectors }, or null
+ *   if none exists; reasoningVectors is null for snapshots written before embeddings were saved
+ */
+export function readSnapshot(dir) {
+  const manifest = readManifest(dir);
+  if (!manifest) {
+    return null;
+  }
+
+  const { files } = manifest;
+  return {
+    manifest,
+    indexPath: join(dir, files.index),
+    vectors: readFileSync(join(dir, files.vectors)),
+    store: JSON.parse(readFileSync(join(dir, files.store), 'utf8')),
+    reasoning: JSON.parse(readFileSync(join(dir, files.reasoning), 'utf8')),
+    reasoningVectors: files.reasoningVectors ? readFileSync(join(dir, files.reasoningVectors)) : null
+  };
+}
+
+/**
+ * Delete snapshot files left over from older or interrupted generations
+ * @param {string} dir - Database directory
+ * @param {number} current - Generation referenced by the manifest
+ */
+function removeStaleGenerations(dir, current) {
+  const pattern = /^(index|vectors|store|reasoning|reasoning-vectors)\.(\d+)\.(hnsw|bin|json)(\.tmp-\d+)?$/;
+  for (const name of readdirSync(dir)) {
+    const match = pattern.exec(name);
+    if (match && Number(match[2]) !== current) {
+      try {
+        unlinkSync(join(dir, name));
+      } catch {
+        // Another process may have removed it already
+      }
+    }
+  }
+}
+
+export default {
+  STORAGE_VERSION,
+  readManifest,
+  readSnapshot,
+  writeSnapshot,
+  writeFileAtomic
+};
@@ -0,0 +1,149 @@
+/**
+ * Streaming export format for AgentDB
+ * An export is a sequence of records: one header, then vector and reasoning
+ * records, then an end marker so truncated streams are detected.
+ *
+ *   jsonl   - one JSON object per line; vectors are number arrays
+ *   binary  - 'AGDB' magic, then frames of
+ *             [uint32 LE JSON length][JSON record][dimension x float32 LE, vector records only]
+ *
+ * The header carries the config, so binary frames need no per-vector length.
+ */
+
+export const STREAM_VERSION = 1;
+export const STREAM_FORMATS = ['jsonl', 'binary'];
+export const BINARY_MAGIC = Buffer.from('AGDB');
+
+/**
+ * Create an encoder turning records into stream chunks
+ * @param {string} format - 'jsonl' or 'binary'
+ * @returns {Function} (record, vector?) => string|Buffer
+ */
+export function createEncoder(format) {
+  if (!STREAM_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}"; expected one of ${STREAM_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'jsonl') {
+    return (record, vector) => JSON.stringify(vector ? { ...record, vector: Array.from(vector) } : record) + '\n';
+  }
+
+  let first = true;
+  return (record, vector) => {
+    const json = Buffer.from(JSON.stringify(record));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(json.length);
+
+    const parts = [length, json];
+    if (first) {
+      parts.unshift(BINARY_MAGIC);
+      first = false;
+    }
+    if (vector) {
+      const floats = Float32Array.from(vector);
+      parts.push(Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength));
+    }
+    return Buffer.concat(parts);
+  };
+}
+
+/**
+ * Read records from an export stream, detecting its format
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<Object>} { record, vector } pairs; vector is a Float32Array for vector records
+ */
+export async function* readRecords(stream) {
+  let buffer = Buffer.alloc(0);
+  let format = null;
+  let dimension = null;
+  let line = 0;
+
+  for await (const chunk of stream) {
+    buffer = buffer.length ? Buffer.concat([buffer, Buffer.from(chunk)]) : Buffer.from(chunk);
+
+    if (!format) {
+      if (buffer.length < BINARY_MAGIC.length) continue;
+      format = buffer.subarray(0, BINARY_MAGIC.length).equals(BINARY_MAGIC) ? 'binary' : 'jsonl';
+      if (format === 'binary') {
+        buffer = buffer.subarray(BINARY_MAGIC.length);
+      }
+    }
+
+    if (format === 'jsonl') {
+      let newline;
+      while ((newline = buffer.indexOf(0x0a)) !== -1) {
+        const text = buffer.subarray(0, newline).toString('utf8');
+        buffer = buffer.subarray(newline + 1);
+        line++;
+        if (text.trim()) {
+          yield splitVector(parseJson(text, `line ${line}`));
+        }
+      }
+      continue;
+    }
+
+    while (buffer.length >= 4) {
+      const jsonLength = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + jsonLength) break;
+
+      const record = parseJson(buffer.subarray(4, 4 + jsonLength).toString('utf8'), `frame ${line + 1}`);
+      if (record.type === 'header') {
+        dimension = record.config?.dimension;
+      }
+
+      if (record.type === 'vector' && !dimension) {
+        throw new Error('Invalid export stream: vector frame before header');
+      }
+      const vectorBytes = record.type === 'vector' ? dimension * 4 : 0;
+      if (buffer.length < 4 + jsonLength + vectorBytes) break;
+
+      const start = 4 + jsonLength;
+      // Copy into a fresh, aligned buffer
+      const vector = vectorBytes ? new Float32Array(buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + start + vectorBytes)) : undefined;
+      buffer = buffer.subarray(start + vectorBytes);
+      line++;
+      yield { record, vector };
+    }
+  }
+
+  if (format !== 'binary' && buffer.toString('utf8').trim()) {
+    yield splitVector(parseJson(buffer.toString('utf8'), `line ${line + 1}`));
+  } else if (buffer.length > 0) {
+    throw new Error('Invalid export stream: truncated record');
+  }
+}
+
+/**
+ * Parse one JSON record
+ * @param {string} text - Record text
+ * @param {string} where - Position used in error messages
+ * @returns {Object} Parsed record
+ */
+function parseJson(text, where) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid export stream at ${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Separate the vector of a JSONL record from the rest of it
+ * @param {Object} record - Parsed record
+ * @returns {Object} { record, vector }
+ */
+function splitVector(record) {
+  if (record.type !== 'vector') {
+    return { record };
+  }
+  const { vector, ...rest } = record;
+  return { record: rest, vector: Array.isArray(vector) ? new Float32Array(vector) : undefined };
+}
+
+export default {
+  STREAM_VERSION,
+  STREAM_FORMATS,
+  BINARY_MAGIC,
+  createEncoder,
+  readRecords
+};
@@ -0,0 +1,133 @@
+/**
+ * Full-text index for AgentDB
+ * An in-memory inverted index with BM25 scoring over metadata text
+ */
+
+/**
+ * Split text into lowercase terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 1);
+}
+
+export class TextIndex {
+  /**
+   * @param {Object} options - BM25 parameters
+   * @param {number} options.k1 - Term frequency saturation (default: 1.2)
+   * @param {number} options.b - Document length normalization (default: 0.75)
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.clear();
+  }
+
+  /**
+   * Remove every document
+   */
+  clear() {
+    this.postings = new Map(); // term -> Map(id -> term frequency)
+    this.docTerms = new Map(); // id -> unique terms, for removal
+    this.docLengths = new Map(); // id -> number of terms
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.docLengths.size;
+  }
+
+  /**
+   * Index (or re-index) a document
+   * @param {number|string} id - Document ID
+   * @param {string} text - Document text
+   */
+  add(id, text) {
+    this.remove(id);
+
+    const terms = tokenize(text);
+    if (terms.length === 0) return;
+
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    for (const [term, tf] of frequencies.entries()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, tf);
+    }
+
+    this.docTerms.set(id, Array.from(frequencies.keys()));
+    this.docLengths.set(id, terms.length);
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Remove a document
+   * @param {number|string} id - Document ID
+   * @returns {boolean} Whether the document was indexed
+   */
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return false;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.docLengths.get(id);
+    this.docTerms.delete(id);
+    this.docLengths.delete(id);
+    return true;
+  }
+
+  /**
+   * Rank documents against a query with BM25
+   * @param {string} query - Query text
+   * @param {Object} options - Search options
+   * @param {number} options.k - Number of results (default: all matches)
+   * @param {Function} options.predicate - Optional (id) => boolean restricting candidates
+   * @returns {Array} Results with id and score, best first
+   */
+  search(query, options = {}) {
+    const { k = Infinity, predicate } = options;
+    const n = this.size;
+    if (n === 0) return [];
+
+    const avgLength = this.totalLength / n;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting.entries()) {
+        const norm = this.k1 * (1 - this.b + this.b * this.docLengths.get(id) / avgLength);
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (this.k1 + 1)) / (tf + norm));
+      }
+    }
+
+    const results = [];
+    for (const [id, score] of scores.entries()) {
+      if (!predicate || predicate(id)) {
+        results.push({ id, score });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+export default TextIndex;
@@ -0,0 +1,280 @@
+/**
+ * Staged batches of AgentDB mutations for AgentDB.transaction()
+ * Operations are validated as they are staged, and again against the database
+ * as it is at commit time, before any of them is applied.
+ */
+
+export class Transaction {
+  /**
+   * @param {AgentDB} db - Database the transaction commits to
+   */
+  constructor(db) {
+    this.db = db;
+    this.operations = [];
+    this.state = 'open'; // 'open', 'committed' or 'rolledBack'
+    this._view = new StagedView(db);
+  }
+
+  /**
+   * Stage a vector insert
+   * The ID is reserved now; a rolled-back transaction leaves a gap in the IDs.
+   * The counter is not logged, so trailing reserved IDs can be reused after a restart.
+   * @param {Float32Array|Array} vector - The embedding vector
+   * @param {Object} metadata - Associated metadata
+   * @param {Object} options - Insert options (ttl, importance, key; see AgentDB.addVector())
+   * @returns {number} The ID the vector will have
+   */
+  addVector(vector, metadata = {}, options = {}) {
+    const vectorArray = this._vector(vector);
+    this.db._importanceFields(options.importance);
+    const id = this.db.currentId++;
+    return this._stage({ op: 'addVector', id, vector: vectorArray, metadata, options });
+  }
+
+  /**
+   * Stage several vector inserts
+   * @param {Array<Object>} items - Items of the form { vector, metadata, ttl, importance, key }
+   * @returns {Array<number>} The IDs the vectors will have
+   */
+  addVectors(items) {
+    return items.map(({ vector, metadata, ...options }) => this.addVector(vector, metadata, options));
+  }
+
+  /**
+   * Stage an insert or replacement by key (see AgentDB.upsert())
+   * @param {string} key - Caller-supplied key
+   * @param {Float32Array|Array} vector - The embedding vector
+   * @param {Object} metadata - Associated metadata
+   * @param {Object} options - Insert options (ttl, importance)
+   * @returns {number} The ID of the vector
+   */
+  upsert(key, vector, metadata = {}, options = {}) {
+    const id = this._view.idOf(key);
+    if (id === undefined) {
+      return this.addVector(vector, metadata, { ...options, key });
+    }
+
+    const vectorArray = this._vector(vector);
+    this.db._importanceFields(options.importance);
+    return this._stage({ op: 'upsert', id, key, vector: vectorArray, metadata, options });
+  }
+
+  /**
+   * Stage a vector replacement (see AgentDB.updateVector())
+   * @param {number} id - Vector ID
+   * @param {Float32Array|Array} vector - New embedding vector
+   * @returns {number} The vector ID
+   */
+  updateVector(id, vector) {
+    return this._stage({ op: 'updateVector', id, vector: this._vector(vector) });
+  }
+
+  /**
+   * Stage a metadata merge (see AgentDB.updateMetadata())
+   * @param {number} id - Vector ID
+   * @param {Object} metadata - Metadata to merge
+   * @returns {number} The vector ID
+   */
+  updateMetadata(id, metadata) {
+    return this._stage({ op: 'updateMetadata', id, metadata });
+  }
+
+  /**
+   * Stage a vector deletion
+   * @param {number} id - Vector ID
+   * @returns {number} The vector ID
+   */
+  deleteVector(id) {
+    return this._stage({ op: 'deleteVector', id });
+  }
+
+  /**
+   * Stage the deletion of the vector stored under a key
+   * @param {string} key - Key given to upsert() or addVector()
+   * @returns {number} The ID of the vector
+   */
+  deleteByKey(key) {
+    const id = this._view.idOf(key);
+    if (id === undefined) {
+      throw new Error(`Key "${key}" not found`);
+    }
+    return this.deleteVector(id);
+  }
+
+  /**
+   * Stage a ReasoningBank entry
+   * @param {string} context - The context or query
+   * @param {string} reasoning - The reasoning process
+   * @param {Object} metadata - Additional metadata
+   * @returns {string} The ID the entry will have
+   */
+  addReasoning(context, reasoning, metadata = {}) {
+    return this._stage({ op: 'addReasoning', id: this.db._reasoningId(), context, reasoning, metadata });
+  }
+
+  /**
+   * Check every staged operation against the current database state
+   * Throws on the first operation that can no longer be applied.
+   */
+  validate() {
+    const view = new StagedView(this.db);
+    this.operations.forEach(operation => view.check(operation));
+  }
+
+  /**
+   * IDs of existing vectors the staged operations update or delete
+   * @returns {Set<number>} Vector IDs
+   */
+  referencedIds() {
+    return new Set(this.operations
+      .filter(operation => operation.op !== 'addVector' && operation.op !== 'addReasoning')
+      .map(operation => operation.id));
+  }
+
+  /**
+   * Apply the staged operations through the database's own methods
+   * Only called by AgentDB.transaction() after validate(), which journals every
+   * change so that a failure part-way through can be undone.
+   */
+  apply() {
+    for (const operation of this.operations) {
+      switch (operation.op) {
+        case 'addVector':
+          this.db._addVector(operation.id, operation.vector, operation.metadata, operation.options);
+          break;
+        case 'upsert':
+          this.db.upsert(operation.key, operation.vector, operation.metadata, operation.options);
+          break;
+        case 'updateVector':
+          this.db.updateVector(operation.id, operation.vector);
+          break;
+        case 'updateMetadata':
+          this.db.updateMetadata(operation.id, operation.metadata);
+          break;
+        case 'deleteVector':
+          this.db.deleteVector(operation.id);
+          break;
+        case 'addReasoning':
+          this.db._addReasoning(operation.id, operation.context, operation.reasoning, operation.metadata);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Validate an operation against the staged state and record it
+   * @private
+   * @param {Object} operation - Staged operation
+   * @returns {number|string} The operation's ID
+   */
+  _stage(operation) {
+    if (this.state !== 'open') {
+      throw new Error(`Transaction is already ${this.state === 'committed' ? 'committed' : 'rolled back'}`);
+    }
+    this._view.check(operation);
+    this.operations.push(operation);
+    return operation.id;
+  }
+
+  /**
+   * Prepare and check a vector
+   * @private
+   * @param {Float32Array|Array} vector - Input vector
+   * @returns {Float32Array} Vector ready for the index
+   */
+  _vector(vector) {
+    const vectorArray = this.db._prepareVector(vector);
+    if (vectorArray.length !== this.db.dimension) {
+      throw new Error(`Vector dimension ${vectorArray.length} does not match index dimension ${this.db.dimension}`);
+    }
+    return vectorArray;
+  }
+}
+
+/**
+ * The database's vectors and keys with staged operations layered on top
+ */
+class StagedView {
+  /**
+   * @param {AgentDB} db - Underlying database
+   */
+  constructor(db) {
+    this.db = db;
+    this.added = new Map(); // Staged ID -> key (or undefined)
+    this.deleted = new Set();
+    this.keys = new Map(); // Key -> ID, or undefined once deleted
+  }
+
+  /**
+   * Whether a vector exists once the staged operations are applied
+   * @param {number} id - Vector ID
+   * @returns {boolean} True if live
+   */
+  has(id) {
+    return !this.deleted.has(id) && (this.added.has(id) || this.db.memoryStore.has(id));
+  }
+
+  /**
+   * ID stored under a key once the staged operations are applied
+   * @param {string} key - Key
+   * @returns {number|undefined} Vector ID
+   */
+  idOf(key) {
+    return this.keys.has(key) ? this.keys.get(key) : this.db.keyIndex.get(key);
+  }
+
+  /**
+   * Check an operation and layer it onto the view
+   * @param {Object} operation - Staged operation
+   */
+  check(operation) {
+    const { op, id } = operation;
+    switch (op) {
+      case 'addVector': {
+        const { key } = operation.options;
+        if (key !== undefined) {
+          if (typeof key !== 'string' || key.length === 0) {
+            throw new Error(`Key must be a non-empty string, got ${JSON.stringify(key)}`);
+          }
+          if (this.idOf(key) !== undefined) {
+            throw new Error(`Key "${key}" already exists; use upsert() to replace it`);
+          }
+          this.keys.set(key, id);
+        }
+        this.added.set(id, key);
+        break;
+      }
+      case 'upsert':
+        if (this.idOf(operation.key) !== id) {
+          throw new Error(`Key "${operation.key}" no longer refers to vector ${id}`);
+        }
+        break;
+      case 'updateVector':
+      case 'updateMetadata':
+        this._require(id);
+        break;
+      case 'deleteVector': {
+        this._require(id);
+        const key = this.added.has(id) ? this.added.get(id) : this.db.memoryStore.get(id).key;
+        if (key !== undefined) {
+          this.keys.set(key, undefined);
+        }
+        this.deleted.add(id);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Throw unless a vector exists
+   * @private
+   * @param {number} id - Vector ID
+   */
+  _require(id) {
+    if (!this.has(id)) {
+      throw new Error(`Vector ${id} not found`);
+    }
+  }
+}
+
+export default Transaction;
@@ -75,6 +75,67 @@ export function cosineSimilarity(a, b) {
   return dotProduct / (Math.sqrt(magA) * Math.sqrt(magB));
 }
 
+/**
+ * Distance between two vectors as the HNSW index computes it
+ * cosine: 1 - cosine similarity, ip: 1 - inner product, l2: squared Euclidean distance
+ * @param {Float32Array|Array} a - First vector
+ * @param {Float32Array|Array} b - Second vector
+ * @param {string} metric - Distance metric ('cosine', 'l2' or 'ip')
+ * @returns {number} Distance (lower is more similar)
+ */
+export function vectorDistance(a, b, metric = 'cosine') {
+  if (a.length !== b.length) {
+    throw new Error('Vectors must have the same dimension');
+  }
+
+  if (metric === 'l2') {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      const diff = a[i] - b[i];
+      sum += diff * diff;
+    }
+    return sum;
+  }
+
+  return 1 - (metric === 'ip' ? dot(a, b) : cosineSimilarity(a, b));
+}
+
+/**
+ * Inner product of two vectors of equal length
+ * @param {Float32Array|Array} a - First vector
+ * @param {Float32Array|Array} b - Second vector
+ * @returns {number} Inner product
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Convert an index distance into a similarity score where higher is better
+ * cosine: 1 - distance (cosine similarity), ip: 1 - distance (inner product),
+ * l2: 1 / (1 + distance) where distance is the squared Euclidean distance
+ * @param {number} distance - Distance reported by the index
+ * @param {string} metric - Distance metric ('cosine', 'l2' or 'ip')
+ * @returns {number} Similarity score
+ */
+export function distanceToScore(distance, metric = 'cosine') {
+  return metric === 'l2' ? 1 / (1 + distance) : 1 - distance;
+}
+
+/**
+ * Convert a similarity score back into an index distance (inverse of distanceToScore)
+ * @param {number} score - Similarity score
+ * @param {string} metric - Distance metric ('cosine', 'l2' or 'ip')
+ * @returns {number} Distance reported by the index
+ */
+export function scoreToDistance(score, metric = 'cosine') {
+  return metric === 'l2' ? 1 / score - 1 : 1 - score;
+}
+
 /**
  * Pretty print search results
  * @param {Array} results - Search results from AgentDB
@@ -87,7 +148,7 @@ export function printResults(results) {
     console.log(`\n📍 Result #${idx + 1}`);
     console.log(`   ID: ${result.id}`);
     console.log(`   Distance: ${result.distance.toFixed(4)}`);
-    console.log(`   Similarity: ${(1 - result.distance).toFixed(4)}`);
+    console.log(`   Similarity: ${(result.score ?? distanceToScore(result.distance)).toFixed(4)}`);
     if (result.metadata) {
       console.log(`   Metadata:`, JSON.stringify(result.metadata, null, 2).split('\n').join('\n   '));
     }
@@ -104,6 +165,9 @@ export function printStats(stats) {
   console.log('\n📊 Database Statistics:');
   console.log('═'.repeat(80));
   console.log(`   Total Vectors: ${stats.totalVectors}`);
+  if (stats.deletedVectors) {
+    console.log(`   Deleted (pending compaction): ${stats.deletedVectors}`);
+  }
   console.log(`   Total Reasoning Entries: ${stats.totalReasoning}`);
   console.log(`   Dimension: ${stats.dimension}`);
   console.log(`   Max Elements: ${stats.maxElements}`);
@@ -133,6 +197,9 @@ export default {
   simpleTextEmbedding,
   randomEmbedding,
   cosineSimilarity,
+  vectorDistance,
+  distanceToScore,
+  scoreToDistance,
   printResults,
   printStats,
   benchmark
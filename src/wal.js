@@ -0,0 +1,140 @@
+/**
+ * Write-ahead log for AgentDB
+ * Mutations are appended as JSON lines ({ seq, ts, op, ... }) so that work
+ * done since the last save() can be replayed after a restart
+ */
+
+import {
+  closeSync,
+  existsSync,
+  fsyncSync,
+  ftruncateSync,
+  openSync,
+  readFileSync,
+  writeSync
+} from 'fs';
+
+export class WriteAheadLog {
+  /**
+   * @param {string} file - Log file path
+   * @param {Object} options - Log options
+   * @param {boolean} options.sync - fsync after every append (default: false)
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.sync = options.sync || false;
+    this.fd = null;
+    this.size = 0; // Records appended since the last truncate
+  }
+
+  /**
+   * Open the log for appending, creating it if necessary
+   */
+  open() {
+    if (this.fd === null) {
+      this.fd = openSync(this.file, 'a');
+    }
+  }
+
+  /**
+   * Append a mutation record
+   * @param {Object} record - Record with seq, ts and op fields
+   */
+  append(record) {
+    this.open();
+    writeSync(this.fd, JSON.stringify(record) + '\n');
+    if (this.sync) {
+      fsyncSync(this.fd);
+    }
+    this.size++;
+  }
+
+  /**
+   * Read every record in the log
+   * A torn final line (crash during append) is ignored; corruption anywhere
+   * else is an error
+   * @returns {Array} Records in append order
+   */
+  readRecords() {
+    return this._read().records;
+  }
+
+  /**
+   * Read every record and cut a torn final line off the file, so the next
+   * append starts on a fresh line instead of being fused into the torn one
+   * @returns {Array} Records in append order
+   */
+  recover() {
+    const { records, end, length, terminated } = this._read();
+    if (end < length || !terminated) {
+      this.open();
+      ftruncateSync(this.fd, end);
+      if (!terminated) {
+        writeSync(this.fd, '\n');
+      }
+      fsyncSync(this.fd);
+    }
+    return records;
+  }
+
+  /**
+   * Parse the log file
+   * @private
+   * @returns {Object} { records, end (bytes up to the last complete record), length, terminated }
+   */
+  _read() {
+    if (!existsSync(this.file)) {
+      return { records: [], end: 0, length: 0, terminated: true };
+    }
+
+    const data = readFileSync(this.file);
+    const records = [];
+    let start = 0;
+    let end = 0;
+    let line = 0;
+    let terminated = true;
+    while (start < data.length) {
+      const newline = data.indexOf(0x0a, start);
+      const stop = newline === -1 ? data.length : newline;
+      const text = data.toString('utf8', start, stop);
+      line++;
+      if (text) {
+        try {
+          records.push(JSON.parse(text));
+        } catch (error) {
+          const isLast = newline === -1 || data.subarray(newline + 1).every(byte => byte === 0x0a);
+          if (!isLast) {
+            throw new Error(`Corrupt write-ahead log record at line ${line} of ${this.file}: ${error.message}`);
+          }
+          break;
+        }
+      }
+      end = newline === -1 ? data.length : newline + 1;
+      terminated = newline !== -1 || !text;
+      start = stop + 1;
+    }
+    return { records, end, length: data.length, terminated };
+  }
+
+  /**
+   * Discard all records, typically after a checkpoint
+   */
+  truncate() {
+    this.open();
+    ftruncateSync(this.fd, 0);
+    fsyncSync(this.fd);
+    this.size = 0;
+  }
+
+  /**
+   * Close the log file
+   */
+  close() {
+    if (this.fd !== null) {
+      closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+export default WriteAheadLog;
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { AgentDB } from '../src/index.js';
+import { tempDir } from './helpers.js';
+
+test('collection names that would leave the collections directory are rejected', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  t.after(() => db.close());
+  db.addVector([1, 0, 0]);
+
+  for (const name of ['.', '..', '../escape', 'a/b', 'a\\b']) {
+    assert.throws(() => db.collection(name), /Invalid collection name/);
+  }
+  assert.equal(db.dropCollection('..'), false);
+  assert.deepEqual(db.listCollections(), []);
+  assert.ok(existsSync(join(dir, 'wal.log')));
+});
+
+test('a persistent collection keeps its options and data when reopened', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  const notes = db.collection('notes', {
+    dimension: 4,
+    ttl: 60_000,
+    textField: 'note',
+    bm25: { k1: 1.5, b: 0.5 },
+    trackAccess: false,
+    retrieval: { similarity: 1, importance: 2 },
+    evict: true
+  });
+  notes.addVector([1, 0, 0, 0], { note: 'hello world' });
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  const restored = reopened.collection('notes');
+  assert.equal(restored.dimension, 4);
+  assert.equal(restored.defaultTTL, 60_000);
+  assert.deepEqual(restored.textFields, ['note']);
+  assert.deepEqual({ k1: restored.textIndex.k1, b: restored.textIndex.b }, { k1: 1.5, b: 0.5 });
+  assert.equal(restored.trackAccess, false);
+  assert.deepEqual(restored.retrieval, { similarity: 1, importance: 2 });
+  assert.equal(restored.evict, true);
+  assert.equal(restored.keywordSearch('hello', 5).length, 1);
+  assert.ok(restored.memoryStore.get(0).expiresAt > Date.now());
+});
+
+test('export and import keep collection options', () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.collection('notes', { textField: 'note', ttl: 60_000 }).addVector([1, 0, 0], { note: 'hello' });
+
+  const copy = new AgentDB({ dimension: 3 });
+  copy.import(JSON.parse(JSON.stringify(db.export())));
+  const notes = copy.collection('notes');
+  assert.deepEqual(notes.textFields, ['note']);
+  assert.equal(notes.defaultTTL, 60_000);
+  assert.equal(notes.keywordSearch('hello', 5).length, 1);
+});
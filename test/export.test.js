@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable } from 'stream';
+import { AgentDB } from '../src/index.js';
+
+function sampleDb() {
+  const db = new AgentDB({ dimension: 3, metric: 'l2', m: 8, efSearch: 40 });
+  db.addVector([1, 0, 0], { name: 'a' }, { key: 'first', importance: 0.9 });
+  db.addVector([0, 1, 0], { name: 'b' });
+  db.addVector([0, 0, 1], { name: 'c' }, { ttl: 60_000 });
+  db.deleteVector(1);
+  db.addReasoning('context', 'reasoning', { topic: 'test' });
+  return db;
+}
+
+function snapshot(db) {
+  return Array.from(db.memoryStore.values()).map(entry => ({
+    ...entry,
+    vector: Array.from(db._exactVector(entry))
+  }));
+}
+
+async function exportChunks(db, options) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await db.exportTo(stream, options);
+  return chunks;
+}
+
+test('import restores ids, entry fields, keys, config and reasoning', () => {
+  const db = sampleDb();
+  const copy = new AgentDB({ dimension: 3 });
+  copy.import(JSON.parse(JSON.stringify(db.export())));
+
+  assert.deepEqual(snapshot(copy), snapshot(db));
+  assert.equal(copy.metric, 'l2');
+  assert.equal(copy.efSearch, 40);
+  assert.equal(copy.currentId, 3);
+  assert.equal(copy.get('first').id, 0);
+  assert.deepEqual(Array.from(copy.reasoningBank.keys()), Array.from(db.reasoningBank.keys()));
+  assert.equal(copy.search([0, 0, 1], 1)[0].id, 2);
+});
+
+const malformed = {
+  'not an object': () => [],
+  'a future version': data => ({ ...data, version: 999 }),
+  'a missing config': data => ({ ...data, config: undefined }),
+  'an unknown metric': data => ({ ...data, config: { ...data.config, metric: 'manhattan' } }),
+  'a missing id': data => ({ ...data, memoryStore: [{ ...data.memoryStore[0], id: undefined }] }),
+  'duplicate ids': data => ({ ...data, memoryStore: [data.memoryStore[0], { ...data.memoryStore[1], id: 0 }] }),
+  'a vector of the wrong length': data => ({ ...data, memoryStore: [{ ...data.memoryStore[0], vector: [1, 0] }] }),
+  'non-finite values': data => ({ ...data, memoryStore: [{ ...data.memoryStore[0], vector: [1, NaN, 0] }] }),
+  'duplicate keys': data => ({ ...data, memoryStore: data.memoryStore.map(entry => ({ ...entry, key: 'same' })) }),
+  'a malformed reasoning bank': data => ({ ...data, reasoningBank: [['only-an-id']] }),
+  'a negative currentId': data => ({ ...data, currentId: -1 })
+};
+
+for (const [problem, corrupt] of Object.entries(malformed)) {
+  test(`import rejects an export with ${problem} and keeps the current data`, () => {
+    const db = sampleDb();
+    const before = snapshot(db);
+    const data = corrupt(sampleDb().export());
+
+    assert.throws(() => db.import(data), /Invalid export|Unsupported export version/);
+    assert.deepEqual(snapshot(db), before);
+    assert.equal(db.metric, 'l2');
+  });
+}
+
+for (const format of ['jsonl', 'binary']) {
+  test(`${format}: exportTo/importFrom round trip restores the database`, async () => {
+    const db = sampleDb();
+    const copy = new AgentDB({ dimension: 3 });
+    const chunks = await exportChunks(db, { format });
+    const counts = await copy.importFrom(Readable.from(chunks));
+
+    assert.deepEqual(counts, { vectors: 2, reasoning: 1 });
+    assert.deepEqual(snapshot(copy), snapshot(db));
+    assert.equal(copy.metric, 'l2');
+    assert.equal(copy.currentId, 3);
+    assert.equal(copy.get('first').id, 0);
+    assert.equal(copy.getReasoning(Array.from(db.reasoningBank.keys())[0]).context, 'context');
+    assert.equal(copy.search([0, 0, 1], 1)[0].id, 2);
+  });
+
+  test(`${format}: exportTo with a filter streams only the matching vectors`, async () => {
+    const copy = new AgentDB({ dimension: 3 });
+    await copy.importFrom(Readable.from(await exportChunks(sampleDb(), { format, filter: { name: 'c' }, reasoning: false })));
+
+    assert.deepEqual(Array.from(copy.memoryStore.keys()), [2]);
+    assert.equal(copy.reasoningBank.size, 0);
+  });
+
+  test(`${format}: a truncated stream is rejected and leaves the database unchanged`, async () => {
+    const db = sampleDb();
+    const before = snapshot(db);
+    const bytes = Buffer.concat(await exportChunks(sampleDb(), { format }));
+
+    await assert.rejects(db.importFrom(Readable.from([bytes.subarray(0, bytes.length - 8)])), /Invalid export stream|truncated/);
+    assert.deepEqual(snapshot(db), before);
+  });
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentDB, matchesFilter } from '../src/index.js';
+
+const trade = { symbol: 'AAPL', price: 180, tags: ['tech', 'large-cap'], indicators: { rsi: 72 }, note: null };
+
+test('a bare value matches equal values and array members', () => {
+  assert.equal(matchesFilter(trade, { symbol: 'AAPL' }), true);
+  assert.equal(matchesFilter(trade, { symbol: 'MSFT' }), false);
+  assert.equal(matchesFilter(trade, { tags: 'tech' }), true);
+  assert.equal(matchesFilter(trade, { tags: ['tech', 'large-cap'] }), true);
+  assert.equal(matchesFilter(trade, { tags: ['large-cap', 'tech'] }), false);
+  assert.equal(matchesFilter(trade, { symbol: { $eq: 'AAPL' } }), true);
+});
+
+test('$in matches any listed value, including any array member', () => {
+  assert.equal(matchesFilter(trade, { symbol: { $in: ['MSFT', 'AAPL'] } }), true);
+  assert.equal(matchesFilter(trade, { symbol: { $in: ['MSFT'] } }), false);
+  assert.equal(matchesFilter(trade, { tags: { $in: ['energy', 'tech'] } }), true);
+  assert.throws(() => matchesFilter(trade, { symbol: { $in: 'AAPL' } }), /\$in operand must be an array/);
+});
+
+test('$gt and $lt compare present values and combine into ranges', () => {
+  assert.equal(matchesFilter(trade, { price: { $gt: 100, $lt: 200 } }), true);
+  assert.equal(matchesFilter(trade, { price: { $gt: 180 } }), false);
+  assert.equal(matchesFilter(trade, { price: { $lt: 180 } }), false);
+  assert.equal(matchesFilter(trade, { volume: { $lt: 1 } }), false);
+  assert.equal(matchesFilter(trade, { note: { $lt: 1 } }), false);
+});
+
+test('$exists distinguishes missing fields from null ones', () => {
+  assert.equal(matchesFilter(trade, { note: { $exists: true } }), true);
+  assert.equal(matchesFilter(trade, { volume: { $exists: false } }), true);
+  assert.equal(matchesFilter(trade, { price: { $exists: false } }), false);
+});
+
+test('dotted paths reach nested fields', () => {
+  assert.equal(matchesFilter(trade, { 'indicators.rsi': { $gt: 70 } }), true);
+  assert.equal(matchesFilter(trade, { 'indicators.macd': { $exists: true } }), false);
+  assert.equal(matchesFilter(trade, { 'note.value': { $exists: false } }), true);
+});
+
+test('$and and $or combine sub-filters', () => {
+  assert.equal(matchesFilter(trade, { $or: [{ symbol: 'MSFT' }, { price: { $gt: 150 } }] }), true);
+  assert.equal(matchesFilter(trade, { $and: [{ symbol: 'AAPL' }, { price: { $gt: 200 } }] }), false);
+  assert.equal(matchesFilter(trade, { symbol: 'AAPL', $or: [{ tags: 'energy' }, { tags: 'tech' }] }), true);
+  assert.throws(() => matchesFilter(trade, { $or: { symbol: 'AAPL' } }), /\$or operand must be an array/);
+});
+
+test('unknown operators and missing filters', () => {
+  assert.throws(() => matchesFilter(trade, { price: { $gte: 100 } }), /Unsupported filter operator: \$gte/);
+  assert.throws(() => matchesFilter(trade, { $nor: [] }), /Unsupported filter operator: \$nor/);
+  assert.equal(matchesFilter(trade, undefined), true);
+  assert.equal(matchesFilter(undefined, { symbol: { $exists: false } }), true);
+});
+
+test('search returns only matching vectors, even when they are not the nearest', () => {
+  const db = new AgentDB({ dimension: 3 });
+  for (let i = 0; i < 50; i++) {
+    db.addVector([1, i / 50, 0], { type: i === 49 ? 'rare' : 'common', n: i });
+  }
+
+  const results = db.search([1, 0, 0], 3, { filter: { type: 'rare' } });
+  assert.deepEqual(results.map(r => r.metadata.n), [49]);
+  assert.deepEqual(db.search([1, 0, 0], 3, { filter: { n: { $lt: 3 } } }).map(r => r.metadata.n), [0, 1, 2]);
+});
@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by the test files
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Create a temporary directory that is removed when the test ends
+ * @param {TestContext} t - node:test context
+ * @param {string} prefix - Directory name prefix (default: 'agentdb-test-')
+ * @returns {string} Directory path
+ */
+export function tempDir(t, prefix = 'agentdb-test-') {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * IDs of the vectors in a database, ascending
+ * @param {AgentDB} db - Database
+ * @returns {Array<number>} Vector IDs
+ */
+export function liveIds(db) {
+  return Array.from(db.memoryStore.keys()).sort((a, b) => a - b);
+}
+
+/**
+ * Pseudo-random vectors from a fixed seed, so failures reproduce
+ * @param {number} count - Number of vectors
+ * @param {number} dimension - Vector dimension
+ * @param {number} seed - Seed; the same seed gives the same vectors (default: 7)
+ * @returns {Array<Array<number>>} Vectors with values in [-1, 1)
+ */
+export function vectors(count, dimension, seed = 7) {
+  const next = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 * 2 - 1;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimension }, next));
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { AgentDB } from '../src/index.js';
+import { liveIds, vectors } from './helpers.js';
+
+test('deleted vectors leave search at once and the index on compact()', () => {
+  const db = new AgentDB({ dimension: 8, compactionThreshold: 0.5 });
+  vectors(20, 8).forEach(vector => db.addVector(vector));
+  const query = db.memoryStore.get(3).vector;
+
+  assert.equal(db.deleteVector(3), true);
+  assert.equal(db.deleteVector(3), false);
+  assert.ok(db.search(query, 20).every(r => r.id !== 3));
+  assert.equal(db.getTombstoneRatio(), 1 / 20);
+  assert.equal(db.compact(), false);
+
+  for (let id = 4; id < 13; id++) db.deleteVector(id);
+  assert.equal(db.compact(), true);
+  assert.equal(db.getStats().deletedVectors, 0);
+  assert.equal(db.index.getCurrentCount(), 10);
+  assert.deepEqual(db.search(db.memoryStore.get(15).vector, 1).map(r => r.id), [15]);
+  assert.equal(db.search(query, 20).length, 10);
+});
+
+test('upsert inserts once per key and then replaces the vector in place', () => {
+  const db = new AgentDB({ dimension: 3 });
+  const id = db.upsert('profile', [1, 0, 0], { version: 1 });
+  assert.equal(db.upsert('profile', [0, 1, 0], { version: 2 }), id);
+
+  assert.deepEqual(liveIds(db), [id]);
+  assert.deepEqual(db.get('profile').metadata, { version: 2 });
+  assert.deepEqual(Array.from(db.get('profile').vector), [0, 1, 0]);
+  assert.equal(db.search([0, 1, 0], 1)[0].id, id);
+  assert.ok(db.get('profile').updatedAt >= db.get('profile').timestamp);
+  assert.throws(() => db.addVector([0, 0, 1], {}, { key: 'profile' }), /already/);
+});
+
+test('updateVector keeps the id, metadata and timestamp', () => {
+  const db = new AgentDB({ dimension: 3 });
+  const id = db.addVector([1, 0, 0], { note: 'moved' });
+  db.addVector([0, 0, 1]);
+  const { timestamp } = db.memoryStore.get(id);
+
+  assert.equal(db.updateVector(id, [0, 1, 0]), true);
+  assert.equal(db.updateVector(99, [0, 1, 0]), false);
+  assert.throws(() => db.updateVector(id, [1, 0]), /dimension/);
+
+  const entry = db.memoryStore.get(id);
+  assert.deepEqual(entry.metadata, { note: 'moved' });
+  assert.equal(entry.timestamp, timestamp);
+  assert.ok(entry.updatedAt >= timestamp);
+  assert.equal(db.search([0, 1, 0], 1)[0].id, id);
+  assert.equal(db.memoryStore.size, 2);
+});
+
+test('vectors expire after their ttl', async () => {
+  const db = new AgentDB({ dimension: 3 });
+  const expired = [];
+  db.on('expired', ({ ids }) => expired.push(...ids));
+  db.addVector([1, 0, 0], {}, { ttl: 10 });
+  db.addVector([0, 1, 0]);
+
+  assert.equal(db.search([1, 0, 0], 2).length, 2);
+  await sleep(20);
+  assert.deepEqual(db.search([1, 0, 0], 2).map(r => r.id), [1]);
+  assert.deepEqual(expired, [0]);
+  assert.deepEqual(db.expire(), []);
+});
+
+test('consolidate merges near-duplicates but leaves keyed and distinct vectors', () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0], { n: 0 }, { importance: 0.2 });
+  db.addVector([0.999, 0.01, 0], { n: 1 }, { importance: 0.8 });
+  db.addVector([0, 1, 0], { n: 2 });
+  db.addVector([1, 0.001, 0], { n: 3 }, { key: 'pinned' });
+
+  const merged = db.consolidate({ threshold: 0.99 });
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].mergedIds, [0, 1]);
+
+  const entry = db.memoryStore.get(merged[0].id);
+  assert.deepEqual(entry.metadata.consolidatedFrom, [0, 1]);
+  assert.equal(entry.importance, 0.8);
+  assert.equal(db.memoryStore.size, 3);
+  assert.equal(db.get('pinned').metadata.n, 3);
+  assert.deepEqual(db.consolidate({ threshold: 0.99 }), []);
+});
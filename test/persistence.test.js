@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { AgentDB } from '../src/index.js';
+import { liveIds, tempDir, vectors } from './helpers.js';
+
+test('save and open restore vectors, keys, config and reasoning', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 8, metric: 'l2', efSearch: 30 });
+  const data = vectors(30, 8);
+  data.forEach((vector, idx) => db.addVector(vector, { idx }, idx === 0 ? { key: 'first' } : {}));
+  db.addReasoning('context', 'reasoning');
+  db.save();
+  db.close();
+
+  const reopened = AgentDB.open(dir, { dimension: 4, metric: 'cosine' });
+  t.after(() => reopened.close());
+  assert.equal(reopened.dimension, 8);
+  assert.equal(reopened.metric, 'l2');
+  assert.equal(reopened.efSearch, 30);
+  assert.equal(reopened.memoryStore.size, 30);
+  assert.equal(reopened.get('first').metadata.idx, 0);
+  assert.equal(reopened.reasoningBank.size, 1);
+  assert.equal(reopened.currentId, 30);
+  assert.deepEqual(reopened.search(data[17], 1).map(r => r.id), [17]);
+  assert.deepEqual(Array.from(reopened.memoryStore.get(17).vector), Array.from(new Float32Array(data[17])));
+});
+
+test('a compacted database saves and reopens without its deleted vectors', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 8 });
+  const data = vectors(20, 8);
+  data.forEach(vector => db.addVector(vector));
+  for (let id = 0; id < 10; id++) db.deleteVector(id);
+  assert.equal(db.compact({ force: true }), true);
+  db.save();
+  db.addVector(data[0]);
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+  assert.equal(reopened.deletedIds.size, 0);
+  assert.equal(reopened.index.getCurrentCount(), 11);
+  assert.deepEqual(reopened.search(data[0], 1).map(r => r.id), [20]);
+});
+
+test('deletes logged before a crash are replayed as tombstones', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 8 });
+  const data = vectors(5, 8);
+  data.forEach(vector => db.addVector(vector));
+  db.save();
+  db.deleteVector(2);
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [0, 1, 3, 4]);
+  assert.ok(reopened.search(data[2], 5).every(r => r.id !== 2));
+  assert.equal(reopened.getTombstoneRatio(), 1 / 5);
+});
+
+test('each save replaces the previous generation', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  t.after(() => db.close());
+  db.addVector([1, 0, 0]);
+  const first = db.save();
+  db.addVector([0, 1, 0]);
+  const second = db.save();
+
+  assert.ok(second.generation > first.generation);
+  assert.ok(existsSync(join(dir, 'manifest.json')));
+  const files = readdirSync(dir).filter(file => file.includes(`.${first.generation}.`));
+  assert.deepEqual(files, []);
+});
+
+test('save without a path is an error for an in-memory database', () => {
+  assert.throws(() => new AgentDB({ dimension: 3 }).save(), /No database path/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { AgentDB, ScalarQuantizer } from '../src/index.js';
+import { tempDir, vectors } from './helpers.js';
+
+const DIMENSION = 16;
+
+function quantizedDb(vectorStorage, metric = 'l2') {
+  const db = new AgentDB({ dimension: DIMENSION, metric, vectorStorage, pq: { trainingSize: 50 } });
+  vectors(120, DIMENSION).forEach((vector, idx) => db.addVector(vector, { idx }));
+  return db;
+}
+
+function maxIndexError(a, b) {
+  let max = 0;
+  for (const id of a.memoryStore.keys()) {
+    const before = a.index.getPoint(id);
+    const after = b.index.getPoint(id);
+    before.forEach((value, i) => {
+      max = Math.max(max, Math.abs(value - after[i]));
+    });
+  }
+  return max;
+}
+
+test('int8 codes reconstruct vectors closely', () => {
+  const quantizer = new ScalarQuantizer(DIMENSION);
+  const [vector] = vectors(1, DIMENSION);
+  const decoded = quantizer.decode(quantizer.encode(vector));
+  vector.forEach((value, i) => assert.ok(Math.abs(value - decoded[i]) < 0.01));
+});
+
+test('pq trains once trainingSize vectors are stored', () => {
+  const db = quantizedDb('pq');
+  assert.equal(db.quantizer.trained, true);
+  assert.ok(db.memoryStore.get(0).codes instanceof Uint8Array);
+  assert.ok(db.getStats({ bytes: true }).bytes.storedVectors < 120 * DIMENSION * 4);
+});
+
+test('getStats leaves out the byte estimate unless asked', () => {
+  const db = quantizedDb('int8');
+  assert.equal(db.getStats().bytes, undefined);
+  assert.equal(db.getStats({ bytes: true }).bytes.storedVectors, 120 * (DIMENSION + 8));
+});
+
+for (const vectorStorage of ['int8', 'pq', 'none']) {
+  test(`${vectorStorage}: export/import keeps the indexed vectors exact`, () => {
+    const db = quantizedDb(vectorStorage);
+    const copy = new AgentDB({ dimension: DIMENSION });
+    copy.import(db.export());
+    assert.equal(maxIndexError(db, copy), 0);
+  });
+
+  test(`${vectorStorage}: exportTo/importFrom keeps the indexed vectors exact`, async () => {
+    const db = quantizedDb(vectorStorage);
+    const copy = new AgentDB({ dimension: DIMENSION });
+    const stream = new PassThrough();
+    await Promise.all([db.exportTo(stream, { format: 'binary' }), copy.importFrom(stream)]);
+    assert.equal(maxIndexError(db, copy), 0);
+  });
+
+  test(`${vectorStorage}: save/open keeps the indexed vectors exact and search results unchanged`, t => {
+    const dir = tempDir(t);
+    const db = quantizedDb(vectorStorage);
+    db.save(dir);
+
+    const reopened = AgentDB.open(dir, { wal: false });
+    assert.equal(reopened.vectorStorage, vectorStorage);
+    assert.equal(maxIndexError(db, reopened), 0);
+    const query = vectors(121, DIMENSION)[120];
+    assert.deepEqual(reopened.search(query, 5).map(r => r.id), db.search(query, 5).map(r => r.id));
+  });
+}
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentDB, HashEmbedder } from '../src/index.js';
+import { tempDir } from './helpers.js';
+
+// A hash embedder that counts calls and how many run at once
+function countingEmbedder(dimension = 384) {
+  const hash = new HashEmbedder({ dimension });
+  const embedder = {
+    dimension,
+    calls: 0,
+    running: 0,
+    maxRunning: 0,
+    async embed(text) {
+      embedder.calls++;
+      embedder.running++;
+      embedder.maxRunning = Math.max(embedder.maxRunning, embedder.running);
+      await new Promise(resolve => setImmediate(resolve));
+      embedder.running--;
+      return hash.embed(text);
+    }
+  };
+  return embedder;
+}
+
+function reasoningDb() {
+  const db = new AgentDB({ dimension: 384 });
+  db.addReasoning('Designing a REST API', 'Use nouns for resources and consistent status codes');
+  db.addReasoning('Debugging memory leaks in Node', 'Take heap snapshots and compare retained objects');
+  db.addReasoning('How to optimize database queries?', 'Analyze query patterns and add indexes');
+  return db;
+}
+
+test('keywords match whole words, not parts of words', async () => {
+  const results = await reasoningDb().searchReasoning('in', { minScore: 0 });
+  const byContext = new Map(results.map(r => [r.context, r.keywordScore]));
+
+  assert.equal(byContext.get('Debugging memory leaks in Node'), 1);
+  assert.equal(byContext.get('Designing a REST API') ?? 0, 0);
+});
+
+test('query terms in order score as a phrase, otherwise by the share matched', async () => {
+  const db = reasoningDb();
+  const [phrase] = await db.searchReasoning('memory leaks', { k: 1 });
+  assert.equal(phrase.keywordScore, 1);
+
+  const [partial] = await db.searchReasoning('leaks memory profiler', { k: 1 });
+  assert.equal(partial.context, 'Debugging memory leaks in Node');
+  assert.equal(partial.keywordScore, 2 / 3);
+});
+
+test('weak matches fall below the default relevance cutoff', async () => {
+  const db = reasoningDb();
+  const all = await db.searchReasoning('database', { minScore: 0 });
+  const relevant = await db.searchReasoning('database');
+
+  assert.ok(all.length > 1);
+  assert.deepEqual(relevant.map(r => r.context), ['How to optimize database queries?']);
+  assert.ok(relevant.every(r => r.relevance >= 0.1));
+});
+
+test('saved reasoning embeddings are reused on open instead of embedding again', async t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 384, embedder: countingEmbedder() });
+  db.addReasoning('Debugging memory leaks in Node', 'Take heap snapshots and compare retained objects');
+  await db.flushReasoning();
+  db.save();
+  db.addReasoning('Designing a REST API', 'Use nouns for resources');
+  db.close();
+
+  const embedder = countingEmbedder();
+  const reopened = AgentDB.open(dir, { embedder });
+  t.after(() => reopened.close());
+  const [result] = await reopened.searchReasoning('heap snapshots', { k: 1 });
+
+  // Only the entry replayed from the log and the query are embedded
+  assert.equal(embedder.calls, 2);
+  assert.equal(result.context, 'Debugging memory leaks in Node');
+  assert.ok(result.similarity > 0);
+});
+
+test('importing a ReasoningBank embeds a bounded number of entries at once', async () => {
+  const source = new AgentDB({ dimension: 384 });
+  for (let i = 0; i < 20; i++) {
+    source.addReasoning(`Context ${i}`, `Reasoning ${i}`);
+  }
+
+  const embedder = countingEmbedder();
+  const db = new AgentDB({ dimension: 384, embedder, embedConcurrency: 3 });
+  db.import(source.export());
+  await db.flushReasoning();
+
+  assert.equal(embedder.calls, 20);
+  assert.equal(embedder.maxRunning, 3);
+  assert.equal(db.reasoningIndex.size, 20);
+});
+
+test('a failed reasoning embedding does not fail later searches and is retried', async () => {
+  const hash = new HashEmbedder({ dimension: 384 });
+  let failing = true;
+  const embedder = {
+    dimension: 384,
+    async embed(text) {
+      if (failing && text.includes('flaky')) throw new Error('rate limited');
+      return hash.embed(text);
+    }
+  };
+  const db = new AgentDB({ dimension: 384, embedder });
+  const failures = [];
+  db.on('reasoningIndexFailed', ({ id }) => failures.push(id));
+  db.addReasoning('Debugging memory leaks in Node', 'Take heap snapshots');
+  const flaky = db.addReasoning('A flaky context', 'Retry with backoff');
+
+  const [first] = await db.searchReasoning('heap snapshots', { k: 1 });
+  assert.equal(first.context, 'Debugging memory leaks in Node');
+  assert.deepEqual(failures, [flaky]);
+  assert.equal(db.reasoningIndex.has(flaky), false);
+
+  failing = false;
+  const [retried] = await db.searchReasoning('retry with backoff', { k: 1 });
+  assert.equal(retried.id, flaky);
+  assert.ok(retried.similarity > 0);
+  await db.flushReasoning();
+});
+
+test('flushReasoning rejects while an embedding keeps failing', async () => {
+  const db = new AgentDB({
+    dimension: 384,
+    embedder: { dimension: 384, embed: async () => { throw new Error('offline'); } }
+  });
+  db.addReasoning('context', 'reasoning');
+
+  await assert.rejects(db.flushReasoning(), /Failed to embed 1 reasoning entries .*offline/);
+  await assert.rejects(db.flushReasoning(), /Failed to embed 1 reasoning entries/);
+});
+
+test('keyword candidates stay in step with the ReasoningBank', async t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 384 });
+  db.addReasoning('Designing a REST API', 'Use nouns for resources');
+  await assert.rejects(db.transaction(async tx => {
+    tx.addReasoning('Rolled back', 'Never committed');
+    throw new Error('abort');
+  }), /abort/);
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  const copy = new AgentDB({ dimension: 384 });
+  copy.import(reopened.export());
+
+  for (const target of [reopened, copy]) {
+    assert.equal(target.reasoningTextIndex.size, 1);
+    const [result] = await target.searchReasoning('nouns', { minScore: 0 });
+    assert.equal(result.context, 'Designing a REST API');
+    assert.equal(result.keywordScore, 1);
+  }
+  reopened.clear();
+  assert.equal(reopened.reasoningTextIndex.size, 0);
+});
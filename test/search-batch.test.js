@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentDB } from '../src/index.js';
+import { vectors } from './helpers.js';
+
+const DIMENSION = 16;
+
+function batchDb(t) {
+  const db = new AgentDB({ dimension: DIMENSION, metric: 'l2', trackAccess: false });
+  t.after(() => db.close());
+  vectors(300, DIMENSION, 11).forEach((vector, idx) => db.addVector(vector, { idx, rare: idx % 25 === 0 }, { importance: (idx % 3) / 2 }));
+  return db;
+}
+
+function ids(results) {
+  return results.map(list => list.map(result => result.id));
+}
+
+test('workers return the same results as the calling thread, filters and re-ranking included', async t => {
+  const db = batchDb(t);
+  const queries = vectors(20, DIMENSION, 5);
+
+  for (const options of [{}, { filter: { rare: true } }, { retrieval: { similarity: 1, importance: 1 } }]) {
+    const inThread = await db.searchBatch(queries, 5, options);
+    const inWorkers = await db.searchBatch(queries, 5, { ...options, workers: 2 });
+    assert.deepEqual(ids(inWorkers), ids(inThread));
+  }
+});
+
+test('workers see mutations made since their last batch', async t => {
+  const db = batchDb(t);
+  const queries = vectors(4, DIMENSION, 5);
+  const [before] = await db.searchBatch(queries, 1, { workers: 2 });
+
+  db.deleteVector(before[0].id);
+  const added = db.addVector(queries[0]);
+  const [after] = await db.searchBatch(queries, 2, { workers: 2 });
+  assert.equal(after[0].id, added);
+  assert.ok(!after.some(result => result.id === before[0].id));
+});
+
+test('per-call trackAccess applies to worker searches', async t => {
+  const db = batchDb(t);
+  const queries = vectors(4, DIMENSION, 5);
+
+  const [first] = await db.searchBatch(queries, 1, { workers: 2 });
+  assert.equal(db.memoryStore.get(first[0].id).accessCount, undefined);
+
+  await db.searchBatch(queries, 1, { workers: 2, trackAccess: true });
+  assert.equal(db.memoryStore.get(first[0].id).accessCount, 1);
+});
+
+test('closing the database during a batch lets the workers finish the queries they hold', async t => {
+  const db = batchDb(t);
+  const queries = vectors(2000, DIMENSION, 5);
+  await db.searchBatch(queries.slice(0, 2), 1, { workers: 2 });
+
+  const batch = db.searchBatch(queries, 10, { workers: 2 });
+  // Let the batch hand its queries to the workers before closing
+  await new Promise(resolve => setImmediate(resolve));
+  db.close();
+
+  const results = await batch;
+  assert.equal(results.length, queries.length);
+  assert.ok(results.every(list => list.length === 10));
+});
+
+test('closing the database before a batch reaches the workers rejects the batch', async t => {
+  const db = batchDb(t);
+  const batch = db.searchBatch(vectors(4, DIMENSION, 5), 1, { workers: 2 });
+  db.close();
+
+  await assert.rejects(batch, /Search workers were closed/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentDB } from '../src/index.js';
+
+// Three near-identical vectors around x, one around y
+function clusteredDb() {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0], { type: 'a' });
+  db.addVector([0.99, 0.01, 0], { type: 'a' });
+  db.addVector([0.98, 0.02, 0], { type: 'b' });
+  db.addVector([0.6, 0.8, 0], { type: 'c' });
+  return db;
+}
+
+test('mmr trades relevance for novelty', () => {
+  const db = clusteredDb();
+  assert.deepEqual(db.search([1, 0, 0], 2).map(r => r.id), [0, 1]);
+
+  const diverse = db.search([1, 0, 0], 2, { mmr: { lambda: 0.5 } });
+  assert.deepEqual(diverse.map(r => r.id), [0, 3]);
+  assert.ok(diverse.every(r => typeof r.mmr === 'number'));
+
+  assert.deepEqual(db.search([1, 0, 0], 2, { mmr: { lambda: 1 } }).map(r => r.id), [0, 1]);
+});
+
+test('mmr maxSimilarity skips near-duplicates of earlier results', () => {
+  const results = clusteredDb().search([1, 0, 0], 4, { mmr: { lambda: 1, maxSimilarity: 0.95 } });
+  assert.deepEqual(results.map(r => r.id), [0, 3]);
+});
+
+test('groupBy keeps the best result per group and minScore cuts off weak ones', () => {
+  const db = clusteredDb();
+  assert.deepEqual(db.search([1, 0, 0], 4, { groupBy: 'type' }).map(r => r.id), [0, 2, 3]);
+  assert.deepEqual(db.search([1, 0, 0], 4, { minScore: 0.9 }).map(r => r.id), [0, 1, 2]);
+});
+
+test('searchWithin returns every neighbor inside the radius, nearest first', () => {
+  const db = new AgentDB({ dimension: 2, metric: 'l2' });
+  for (let i = 0; i < 100; i++) {
+    db.addVector([i, 0], { even: i % 2 === 0 });
+  }
+
+  // Squared l2: neighbors 0..7 lie within a distance of 49
+  const inside = db.searchWithin([0, 0], { maxDistance: 49 });
+  assert.deepEqual(inside.map(r => r.id), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.ok(inside.every(r => r.distance <= 49));
+
+  // A radius wider than the starting candidate pool
+  assert.equal(db.searchWithin([0, 0], { maxDistance: 60 ** 2 }).length, 61);
+  assert.deepEqual(db.searchWithin([0, 0], { maxDistance: 49, limit: 3 }).map(r => r.id), [0, 1, 2]);
+  assert.deepEqual(db.searchWithin([0, 0], { maxDistance: 49, filter: { even: true } }).map(r => r.id), [0, 2, 4, 6]);
+  assert.deepEqual(db.searchWithin([0, 0], { minScore: 0.5 }).map(r => r.id), [0, 1]);
+  assert.throws(() => db.searchWithin([0, 0], {}), /needs maxDistance or minScore/);
+});
+
+test('keywordSearch ranks by BM25 over the text field', () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0], { content: 'postgres index tuning', topic: 'db' });
+  db.addVector([0, 1, 0], { content: 'postgres postgres replication', topic: 'db' });
+  db.addVector([0, 0, 1], { content: 'react hooks', topic: 'ui' });
+  db.addVector([1, 1, 0], { title: 'postgres without content' });
+
+  const results = db.keywordSearch('postgres', 5);
+  assert.deepEqual(results.map(r => r.id), [1, 0]);
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(db.keywordSearch('react', 5, { filter: { topic: 'db' } }), []);
+});
+
+test('hybridSearch fuses keyword and vector ranks', async () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0], { content: 'nearest but unrelated words' });
+  db.addVector([0, 1, 0], { content: 'postgres replication lag' });
+  db.addVector([0.9, 0.1, 0], { content: 'postgres vacuum' });
+
+  const results = await db.hybridSearch('postgres', { vector: [1, 0, 0], k: 3 });
+  assert.equal(results[0].id, 2);
+  assert.ok(results[0].scores.textRank && results[0].scores.vectorRank);
+
+  const vectorOnly = await db.hybridSearch('postgres', { vector: [1, 0, 0], k: 1, alpha: 1, fusion: 'weighted' });
+  assert.equal(vectorOnly[0].id, 0);
+  const textOnly = await db.hybridSearch('postgres', { vector: [1, 0, 0], k: 1, alpha: 0, fusion: 'weighted' });
+  assert.ok(textOnly[0].scores.text > 0);
+  await assert.rejects(db.hybridSearch('postgres', { fusion: 'max' }), /Unknown fusion method/);
+});
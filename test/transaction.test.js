@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { AgentDB } from '../src/index.js';
+import { liveIds, tempDir } from './helpers.js';
+
+function recordEvents(db, names) {
+  const events = [];
+  names.forEach(name => db.on(name, payload => events.push(name === 'rolledBack' ? name : [name, payload.id ?? payload])));
+  return events;
+}
+
+test('commit applies every operation and emits its events afterwards', async () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0], { n: 0 }, { key: 'a' });
+  const events = recordEvents(db, ['vectorAdded', 'metadataUpdated', 'vectorDeleted', 'committed']);
+
+  const id = await db.transaction(async tx => {
+    const added = tx.addVector([0, 1, 0], { n: 1 });
+    tx.updateMetadata(0, { edited: true });
+    tx.deleteByKey('a');
+    assert.deepEqual(events, []);
+    return added;
+  });
+
+  assert.equal(id, 1);
+  assert.deepEqual(liveIds(db), [1]);
+  assert.equal(db.keyIndex.has('a'), false);
+  assert.deepEqual(events.map(event => event[0]), ['vectorAdded', 'metadataUpdated', 'vectorDeleted', 'committed']);
+});
+
+test('a throwing callback rolls back and leaves no trace', async () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0]);
+  const events = recordEvents(db, ['vectorAdded', 'rolledBack']);
+
+  await assert.rejects(db.transaction(async tx => {
+    tx.addVector([0, 1, 0]);
+    throw new Error('changed my mind');
+  }), /changed my mind/);
+
+  assert.deepEqual(liveIds(db), [0]);
+  assert.deepEqual(events, ['rolledBack']);
+});
+
+test('operations invalidated before the commit are rejected', async () => {
+  const db = new AgentDB({ dimension: 3 });
+  db.addVector([1, 0, 0]);
+
+  await assert.rejects(db.transaction(async tx => {
+    tx.updateMetadata(0, { edited: true });
+    db.deleteVector(0);
+  }), /Vector 0 not found/);
+});
+
+test('eviction spares the vectors a transaction refers to', async () => {
+  const db = new AgentDB({ dimension: 3, maxElements: 4, autoResize: false, evict: true, evictFraction: 0.25 });
+  [[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 1, 0]].forEach(vector => db.addVector(vector));
+
+  // Vector 0 is the oldest, so it would be evicted first
+  await db.transaction(async tx => {
+    tx.updateMetadata(0, { kept: true });
+    tx.addVector([1, 1, 1]);
+  });
+
+  assert.deepEqual(db.memoryStore.get(0).metadata, { kept: true });
+  assert.deepEqual(liveIds(db), [0, 2, 3, 4]);
+});
+
+test('a commit that needs to evict referenced vectors is rejected untouched', async () => {
+  const db = new AgentDB({ dimension: 3, maxElements: 2, autoResize: false, evict: true });
+  db.addVector([1, 0, 0]);
+  db.addVector([0, 1, 0]);
+  const events = recordEvents(db, ['evicted', 'rolledBack']);
+
+  await assert.rejects(db.transaction(async tx => {
+    tx.updateMetadata(0, { a: 1 });
+    tx.updateMetadata(1, { b: 1 });
+    tx.addVector([0, 0, 1]);
+  }), /Cannot make room for 1 vectors: only 0 can be evicted/);
+
+  assert.deepEqual(liveIds(db), [0, 1]);
+  assert.deepEqual(db.memoryStore.get(0).metadata, {});
+  assert.deepEqual(events, ['rolledBack']);
+});
+
+test('a failure while applying undoes the operations already applied', async t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3, maxElements: 2, autoResize: false, evict: true, evictFraction: 0.5 });
+  t.after(() => db.close());
+  db.addVector([1, 0, 0], { n: 0 }, { key: 'a' });
+  db.addVector([0, 1, 0], { n: 1 });
+  const log = readFileSync(join(dir, 'wal.log'), 'utf8');
+  const events = recordEvents(db, ['vectorAdded', 'vectorUpdated', 'vectorDeleted', 'evicted', 'rolledBack']);
+  db._addReasoning = () => {
+    throw new Error('embedding store unavailable');
+  };
+
+  // Evicts vector 0, then updates, deletes and adds before failing
+  await assert.rejects(db.transaction(async tx => {
+    tx.upsert('b', [0, 0, 1], { n: 2 });
+    tx.updateVector(1, [1, 1, 0]);
+    tx.deleteVector(1);
+    tx.addReasoning('context', 'reasoning');
+  }), /embedding store unavailable/);
+
+  assert.deepEqual(liveIds(db), [0, 1]);
+  assert.equal(db.keyIndex.get('a'), 0);
+  assert.equal(db.keyIndex.has('b'), false);
+  assert.deepEqual(db.memoryStore.get(0).metadata, { n: 0 });
+  assert.deepEqual(Array.from(db.memoryStore.get(1).vector), [0, 1, 0]);
+  assert.equal(db.search([0, 1, 0], 1)[0].id, 1);
+  assert.equal(readFileSync(join(dir, 'wal.log'), 'utf8'), log);
+  assert.deepEqual(events, ['rolledBack']);
+});
+
+test('a committed transaction is replayed from the write-ahead log', async t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0], { n: 0 });
+  await db.transaction(async tx => {
+    tx.addVector([0, 1, 0], { n: 1 }, { key: 'b' });
+    tx.updateMetadata(0, { edited: true });
+    tx.addReasoning('context', 'reasoning');
+  });
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [0, 1]);
+  assert.equal(reopened.keyIndex.get('b'), 1);
+  assert.deepEqual(reopened.memoryStore.get(0).metadata, { n: 0, edited: true });
+  assert.equal(reopened.reasoningBank.size, 1);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { AgentDB } from '../src/index.js';
+import { liveIds, tempDir } from './helpers.js';
+
+test('replays mutations logged since the last save', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0], { n: 0 });
+  db.save();
+  db.addVector([0, 1, 0], { n: 1 });
+  db.updateMetadata(0, { edited: true });
+  db.deleteVector(1);
+  db.addVector([0, 0, 1], { n: 2 });
+  db.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [0, 2]);
+  assert.deepEqual(reopened.memoryStore.get(0).metadata, { n: 0, edited: true });
+  assert.equal(reopened.currentId, 3);
+  assert.equal(reopened.search([0, 0, 1], 1)[0].id, 2);
+});
+
+// Write two records and make the second look like it was logged a second later
+function logWithLaterRecord(dir) {
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.save();
+  db.addVector([1, 0, 0]);
+  db.addVector([0, 1, 0]);
+  db.close();
+
+  const file = join(dir, 'wal.log');
+  const records = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const cutoff = records[0].ts;
+  records[1].ts = cutoff + 1000;
+  rmSync(file);
+  appendFileSync(file, records.map(record => JSON.stringify(record) + '\n').join(''));
+  return cutoff;
+}
+
+test('recoverTo stops replay at a point in time and keeps the later records', t => {
+  const dir = tempDir(t);
+  const cutoff = logWithLaterRecord(dir);
+  const log = readFileSync(join(dir, 'wal.log'), 'utf8');
+
+  const recovered = AgentDB.open(dir, { recoverTo: cutoff });
+  assert.deepEqual(liveIds(recovered), [0]);
+  recovered.addVector([0, 0, 1]);
+  recovered.close();
+  assert.equal(readFileSync(join(dir, 'wal.log'), 'utf8'), log);
+
+  // Without a save, a plain open still replays everything that was logged
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [0, 1]);
+});
+
+test('saving a recovered database drops the later records', t => {
+  const dir = tempDir(t);
+  const cutoff = logWithLaterRecord(dir);
+
+  const recovered = AgentDB.open(dir, { recoverTo: cutoff });
+  recovered.save();
+  recovered.addVector([0, 0, 1]);
+  recovered.close();
+
+  const reopened = AgentDB.open(dir);
+  t.after(() => reopened.close());
+  assert.deepEqual(liveIds(reopened), [0, 1]);
+  assert.deepEqual(Array.from(reopened.memoryStore.get(1).vector), [0, 0, 1]);
+});
+
+test('recoverTo before the last checkpoint is rejected', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0]);
+  db.save();
+  db.close();
+
+  assert.throws(() => AgentDB.open(dir, { recoverTo: 0 }), /Cannot recover to/);
+});
+
+test('a torn last record is cut off so later writes survive', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0], { n: 0 });
+  db.close();
+
+  // Crash in the middle of an append
+  appendFileSync(join(dir, 'wal.log'), '{"seq":2,"ts":1,"op":"addVe');
+
+  const afterCrash = AgentDB.open(dir);
+  assert.deepEqual(liveIds(afterCrash), [0]);
+  afterCrash.addVector([0, 1, 0], { n: 1 });
+  afterCrash.close();
+
+  const second = AgentDB.open(dir);
+  assert.deepEqual(liveIds(second), [0, 1]);
+  second.addVector([0, 0, 1], { n: 2 });
+  second.close();
+
+  const third = AgentDB.open(dir);
+  t.after(() => third.close());
+  assert.deepEqual(liveIds(third), [0, 1, 2]);
+  assert.deepEqual(third.memoryStore.get(1).metadata, { n: 1 });
+});
+
+test('a complete last record without a newline is kept', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0]);
+  db.close();
+
+  const file = join(dir, 'wal.log');
+  const content = readFileSync(file, 'utf8');
+  rmSync(file);
+  appendFileSync(file, content.trimEnd());
+
+  const reopened = AgentDB.open(dir);
+  reopened.addVector([0, 1, 0]);
+  reopened.close();
+
+  const again = AgentDB.open(dir);
+  t.after(() => again.close());
+  assert.deepEqual(liveIds(again), [0, 1]);
+});
+
+test('corruption before the last record is an error', t => {
+  const dir = tempDir(t);
+  const db = AgentDB.open(dir, { dimension: 3 });
+  db.addVector([1, 0, 0]);
+  db.close();
+
+  const file = join(dir, 'wal.log');
+  const content = readFileSync(file, 'utf8');
+  rmSync(file);
+  appendFileSync(file, '{"seq":1,"op"\n' + content);
+
+  assert.throws(() => AgentDB.open(dir), /Corrupt write-ahead log record at line 1/);
+});